@@ -6,48 +6,90 @@
  * This is the top-level entry point for the yoblox-setup wizard.
  * It handles CLI argument parsing, error handling, and delegates
  * to the CLI orchestrator.
+ *
+ * Required as a library it exports the state machine and the setup
+ * states, so other front ends can drive the setup:
+ *
+ *   const { StateMachine, states } = require('yoblox-setup');
+ *   const machine = new StateMachine(states, { promptHandler, logSink });
+ *   machine.on('stateStart', ({ state }) => ...);
+ *   await machine.run();
  */
 
 const cli = require('./src/cli');
+const StateMachine = require('./src/statemachine');
 const logger = require('./src/utils/logger');
+const prompt = require('./src/utils/prompt');
 
-// Global error handlers
-process.on('SIGINT', async () => {
-  logger.warning('\n\nSetup interrupted by user.');
-  logger.info('Progress has been saved. Run yoblox-setup again to resume.');
-  process.exit(0);
-});
-
-process.on('unhandledRejection', (error) => {
-  logger.error('\nUnexpected error occurred:');
-  console.error(error);
-  logger.info('\nPlease report this issue at: https://github.com/avalonreset/yoblox-setup/issues');
-  process.exit(1);
-});
-
-process.on('uncaughtException', (error) => {
-  logger.error('\nFatal error occurred:');
-  console.error(error);
-  logger.info('\nPlease report this issue at: https://github.com/avalonreset/yoblox-setup/issues');
-  process.exit(1);
-});
-
-// Parse CLI arguments
-const args = process.argv.slice(2);
-const options = {
-  reset: args.includes('--reset') || args.includes('-r'),
-  help: args.includes('--help') || args.includes('-h'),
-  version: args.includes('--version') || args.includes('-v')
+// Subcommands (yoblox-setup <command>) and the modules that run them
+const COMMANDS = {
+  doctor: './src/commands/doctor',
+  update: './src/commands/update',
+  serve: './src/commands/serve',
+  build: './src/commands/build',
+  syncback: './src/commands/syncback',
+  logs: './src/commands/logs'
 };
 
-// Show help
-if (options.help) {
-  console.log(`
+// Flags that take a value (skipped when looking for the command name)
+const VALUE_FLAGS = [
+  '--answers', '--record', '--replay', '--only', '--from', '--skip', '--session', '--plugins',
+  '--lines', '--address', '--out', '--keep'
+];
+
+const HELP_TEXT = `
 yoblox-setup - Interactive Setup Wizard for Roblox Development
 
 Usage:
   yoblox-setup              Start the setup wizard
+  yoblox-setup doctor       Check this machine without changing anything
+                            (add --json for JSON; exits 1 if a check fails)
+  yoblox-setup update       Update Rust, Rojo, VS Code extensions and other tools
+                            (add --yes to install every update without asking)
+  yoblox-setup serve [project]
+                            Run the Rojo server in the background (add --watch to
+                            stay attached and restart it if it crashes)
+  yoblox-setup serve --status
+                            Show the background Rojo server (add --json for JSON)
+  yoblox-setup serve --stop Stop the background Rojo server
+  yoblox-setup serve --address <address>
+                            Serve to other machines too: 0.0.0.0 for every network
+                            (e.g. Studio on Windows with the wizard in WSL)
+  yoblox-setup build [project]
+                            Build a place (.rbxl) or model (.rbxm) file into build/
+                            (--out <dir> for another directory, --watch to rebuild on
+                            every change, --keep <n> timestamped snapshots, default 10)
+  yoblox-setup syncback <place.rbxl> [project]
+                            Pull edits made in Studio back into the project: preview
+                            the changed files, apply the ones you pick (with backups;
+                            --yes applies all)
+  yoblox-setup logs [name] [--follow] [--lines <n>]
+                            Show the output of a background process such as
+                            rojo-server (without a name, list them)
   yoblox-setup --reset      Start fresh (ignore saved progress)
+  yoblox-setup --session <name>
+                            Keep progress under a named session (default: "default")
+  yoblox-setup --answers <file.json|yaml>
+                            Run unattended, answering prompts from a file
+  yoblox-setup --record <file>
+                            Record every prompt and answer to a file
+  yoblox-setup --replay <file>
+                            Replay the answers from a recorded session
+  yoblox-setup --only <states>
+                            Run only these states (e.g. rojoServer,studioSync)
+  yoblox-setup --from <state>
+                            Run from this state onwards
+  yoblox-setup --skip <states>
+                            Skip these states
+  yoblox-setup --plugins <dir>
+                            Load extra setup steps from a plugin directory
+  yoblox-setup --project-plugins
+                            Also load yoblox-setup-plugin-* packages from this
+                            folder's node_modules (runs their code)
+  yoblox-setup --address <address>
+                            Address the Rojo server listens on (default: localhost)
+  yoblox-setup --plan       Show what setup would install, download, open and
+                            start, without changing anything (add --json for JSON)
   yoblox-setup --help       Show this help message
   yoblox-setup --version    Show version number
 
@@ -59,19 +101,142 @@ The wizard will guide you through installing:
   • AI CLI tools (Claude or Gemini)
 
 And then scaffold a new project using yoblox.
-  `);
-  process.exit(0);
+  `;
+
+/**
+ * Get the value following a flag (e.g. --answers <file>)
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} flag - Flag name
+ * @returns {string|null} Flag value or null if not given
+ */
+function getFlagValue(args, flag) {
+  const index = args.indexOf(flag);
+  if (index === -1) {
+    return null;
+  }
+
+  const value = args[index + 1];
+  if (!value || value.startsWith('-')) {
+    logger.error(`Missing value for ${flag}`);
+    process.exit(1);
+  }
+
+  return value;
+}
+
+/**
+ * Get a comma-separated list following a flag (e.g. --only a,b)
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} flag - Flag name
+ * @returns {Array<string>|null} List of values or null if not given
+ */
+function getFlagList(args, flag) {
+  const value = getFlagValue(args, flag);
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
 }
 
-// Show version
-if (options.version) {
-  const pkg = require('./package.json');
-  console.log(`yoblox-setup v${pkg.version}`);
-  process.exit(0);
+/**
+ * Get the arguments that are not flags or flag values
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Array<string>} Positional arguments
+ */
+function getPositionals(args) {
+  return args.filter((arg, index) => !arg.startsWith('-') && !VALUE_FLAGS.includes(args[index - 1]));
+}
+
+/**
+ * Parse command line arguments into CLI options
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} CLI options
+ */
+function parseArgs(args) {
+  const [command = null, ...commandArgs] = getPositionals(args);
+
+  return {
+    command,
+    commandArgs,
+    reset: args.includes('--reset') || args.includes('-r'),
+    help: args.includes('--help') || args.includes('-h'),
+    version: args.includes('--version') || args.includes('-v'),
+    answers: getFlagValue(args, '--answers'),
+    record: getFlagValue(args, '--record'),
+    replay: getFlagValue(args, '--replay'),
+    only: getFlagList(args, '--only'),
+    from: getFlagValue(args, '--from'),
+    skip: getFlagList(args, '--skip'),
+    session: getFlagValue(args, '--session'),
+    plugins: getFlagValue(args, '--plugins'),
+    projectPlugins: args.includes('--project-plugins'),
+    plan: args.includes('--plan'),
+    json: args.includes('--json'),
+    yes: args.includes('--yes') || args.includes('-y'),
+    status: args.includes('--status'),
+    stop: args.includes('--stop'),
+    watch: args.includes('--watch'),
+    follow: args.includes('--follow') || args.includes('-f'),
+    lines: getFlagValue(args, '--lines'),
+    address: getFlagValue(args, '--address'),
+    out: getFlagValue(args, '--out'),
+    keep: getFlagValue(args, '--keep')
+  };
 }
 
-// Run the CLI
-async function main() {
+/**
+ * Run the command line wizard
+ * @param {Array<string>} args - Command line arguments
+ */
+async function main(args = process.argv.slice(2)) {
+  // Global error handlers (SIGINT is handled by the CLI so states can clean up)
+  process.on('unhandledRejection', (error) => {
+    logger.error('\nUnexpected error occurred:');
+    console.error(error);
+    logger.info('\nPlease report this issue at: https://github.com/avalonreset/yoblox-setup/issues');
+    process.exit(1);
+  });
+
+  process.on('uncaughtException', (error) => {
+    logger.error('\nFatal error occurred:');
+    console.error(error);
+    logger.info('\nPlease report this issue at: https://github.com/avalonreset/yoblox-setup/issues');
+    process.exit(1);
+  });
+
+  const options = parseArgs(args);
+
+  // Show help
+  if (options.help) {
+    console.log(HELP_TEXT);
+    process.exit(0);
+  }
+
+  // Show version
+  if (options.version) {
+    const pkg = require('./package.json');
+    console.log(`yoblox-setup v${pkg.version}`);
+    process.exit(0);
+  }
+
+  // Run a subcommand
+  if (options.command) {
+    const modulePath = COMMANDS[options.command];
+
+    if (!modulePath) {
+      logger.error(`Unknown command: ${options.command}`);
+      logger.info('Run yoblox-setup --help to see the available commands.');
+      process.exit(1);
+    }
+
+    try {
+      const exitCode = await require(modulePath).run(options);
+      process.exit(exitCode || 0);
+    } catch (error) {
+      logger.error(`\n${options.command} failed:`);
+      console.error(error.message);
+      process.exit(1);
+    }
+  }
+
+  // Run the CLI
   try {
     await cli.run(options);
   } catch (error) {
@@ -81,4 +246,16 @@ async function main() {
   }
 }
 
-main();
+module.exports = {
+  StateMachine,
+  states: cli.states,
+  run: cli.run,
+  main,
+  parseArgs,
+  logger,
+  prompt
+};
+
+if (require.main === module) {
+  main();
+}
@@ -9,8 +9,11 @@ const StateMachine = require('./statemachine');
 const logger = require('./utils/logger');
 const system = require('./utils/system');
 const processManager = require('./utils/process');
+const prompt = require('./utils/prompt');
+const answers = require('./utils/answers');
+const recording = require('./utils/recording');
 
-// Import all states (13 states for v2.0)
+// Import all states (14 states for v2.0)
 const welcome = require('./states/welcome');
 const robloxStudio = require('./states/robloxStudio');
 const vscode = require('./states/vscode');
@@ -23,12 +26,43 @@ const scaffold = require('./states/scaffold');
 const rojoServer = require('./states/10-rojoServer');
 const studioSync = require('./states/11-studioSync');
 const syncVerification = require('./states/12-syncVerification');
+const rojoBuild = require('./states/rojoBuild');
 const finalSummary = require('./states/13-finalSummary');
+const plan = require('./commands/plan');
+const plugins = require('./plugins');
+
+// Define all states (14 states for v2.0). The state machine keeps this
+// order except where a state's `requires` forces it after a provider.
+const states = [
+  welcome,           // 1. Welcome & Prerequisites Check
+  robloxStudio,      // 2. Roblox Studio Installation
+  vscode,            // 3. VS Code Installation
+  git,               // 4. Git Installation (Optional)
+  rust,              // 5. Rust + Cargo Installation
+  rojo,              // 6. Rojo Installation
+  vscodeExtensions,  // 7. VS Code Extensions
+  aiCLI,             // 8. AI CLI Selection & Installation
+  scaffold,          // 9. Project Scaffolding
+  rojoServer,        // 10. Rojo Server Launch (NEW)
+  studioSync,        // 11. Studio Connection Setup (NEW)
+  syncVerification,  // 12. End-to-End Sync Test (NEW)
+  rojoBuild,         // 13. Place File Build (Optional)
+  finalSummary       // 14. Final Summary & Actions (NEW)
+];
 
 /**
  * Run the setup wizard
  * @param {Object} options - CLI options
  * @param {boolean} options.reset - Whether to ignore saved progress
+ * @param {string} options.answers - Answers file for unattended runs
+ * @param {string} options.record - File to record prompts and answers to
+ * @param {string} options.replay - Recording to replay answers from
+ * @param {boolean} options.plan - Print what would happen instead of running
+ * @param {boolean} options.json - Print the plan as JSON
+ * @param {string} options.plugins - Local directory to load plugins from
+ * @param {boolean} options.projectPlugins - Also load plugin packages from
+ *   the current folder's node_modules
+ * @param {string} options.address - Address the Rojo server listens on
  */
 async function run(options = {}) {
   // Check Node version before starting
@@ -41,36 +75,89 @@ async function run(options = {}) {
     process.exit(1);
   }
 
-  // Define all states in order (13 states for v2.0)
-  const states = [
-    welcome,           // 1. Welcome & Prerequisites Check
-    robloxStudio,      // 2. Roblox Studio Installation
-    vscode,            // 3. VS Code Installation
-    git,               // 4. Git Installation (Optional)
-    rust,              // 5. Rust + Cargo Installation
-    rojo,              // 6. Rojo Installation
-    vscodeExtensions,  // 7. VS Code Extensions
-    aiCLI,             // 8. AI CLI Selection & Installation
-    scaffold,          // 9. Project Scaffolding
-    rojoServer,        // 10. Rojo Server Launch (NEW)
-    studioSync,        // 11. Studio Connection Setup (NEW)
-    syncVerification,  // 12. End-to-End Sync Test (NEW)
-    finalSummary       // 13. Final Summary & Actions (NEW)
-  ];
+  // Add states and hooks from plugins
+  const loadedPlugins = plugins.load({ dir: options.plugins, project: options.projectPlugins });
+  const allStates = plugins.insertStates(states, loadedPlugins);
+
+  if (!options.json) {
+    for (const plugin of loadedPlugins) {
+      logger.info(`Loaded plugin ${plugin.name} (${plugin.source})`);
+    }
+
+    // Their steps are only planned, but loading them ran their code
+    if (options.plan && loadedPlugins.length > 0) {
+      logger.warning('Plugins run their own code when loaded, also with --plan. Only use plugins you trust.');
+    }
+  }
+
+  // --address picks the Rojo address, even over saved progress
+  if (options.address) {
+    options = { ...options, context: { rojoAddress: options.address } };
+  }
+
+  // Show the plan without running anything
+  if (options.plan) {
+    await plan.run(allStates, options);
+    return;
+  }
+
+  if (options.answers && options.replay) {
+    throw new Error('--answers and --replay cannot be used together');
+  }
+
+  let promptHandler = null;
+
+  // Answer prompts from a file instead of asking
+  if (options.answers) {
+    promptHandler = answers.createHandler(answers.load(options.answers), options.answers);
+    logger.info(`Running unattended with answers from ${options.answers}`);
+  }
+
+  // Replay a recorded session from the beginning
+  if (options.replay) {
+    const recorded = recording.load(options.replay);
+    promptHandler = recording.createReplayHandler(recorded, options.replay);
+    options = { ...options, reset: true };
+
+    logger.info(`Replaying ${recorded.entries.length} answers from ${options.replay}`);
+    if (recorded.recordedAt) {
+      logger.info(`  Recorded: ${recorded.recordedAt} on ${recorded.platform || 'unknown OS'}`);
+    }
+    if (recording.wasResumed(recorded)) {
+      logger.warning('This recording continued a previous session - replay starts from the beginning and may diverge.');
+    }
+  }
+
+  // Record every prompt and answer
+  if (options.record) {
+    const pkg = require('../package.json');
+    const recorder = recording.createRecorder(options.record, { wizardVersion: pkg.version });
+    prompt.onAnswer(entry => recorder.record(entry));
+    logger.info(`Recording this session to ${options.record}`);
+  }
 
   // Create and run state machine
-  const machine = new StateMachine(states, options);
+  const machine = new StateMachine(allStates, { ...options, promptHandler });
+
+  for (const plugin of loadedPlugins) {
+    for (const [name, fn] of Object.entries(plugin.hooks)) {
+      machine.addHook(name, fn);
+    }
+  }
 
-  // Setup graceful shutdown for background processes
+  // Setup graceful shutdown for states and background processes
   const cleanup = async () => {
     logger.newline();
     logger.warning('Shutting down...');
+    await machine.cleanup();
     await processManager.stopAll();
     logger.info('Cleanup complete.');
   };
 
   process.on('SIGINT', async () => {
+    logger.warning('\nSetup interrupted by user.');
     await cleanup();
+    logger.info('Progress has been saved. Run yoblox-setup again to resume.');
     process.exit(0);
   });
 
@@ -94,4 +181,4 @@ async function run(options = {}) {
   }
 }
 
-module.exports = { run };
+module.exports = { run, states };
@@ -0,0 +1,174 @@
+/**
+ * Build Command
+ *
+ * Builds the project into a place (.rbxl) or model (.rbxm) file with
+ * `rojo build` (`yoblox-setup build [project]`), for backups, publishing
+ * or opening a fresh place. The project is found like `serve` finds it;
+ * a *.project.json argument builds that project file.
+ *
+ * The file goes to build/ in the project folder (--out <dir> for another
+ * directory) and a timestamped copy to build/snapshots/, keeping the
+ * newest config.BUILD.KEEP_SNAPSHOTS (--keep <n> to change, 0 for none).
+ * --watch keeps rebuilding on every change until Ctrl+C.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const rojoBuild = require('../utils/rojoBuild');
+const rojoErrors = require('../utils/rojoErrors');
+const rojoServer = require('../utils/rojoServer');
+const validator = require('../utils/validator');
+const config = require('../config');
+
+/**
+ * Read the --keep option
+ * @param {Object} options - CLI options
+ * @returns {number} Snapshots to keep
+ */
+function getKeep(options) {
+  if (options.keep === null || options.keep === undefined) {
+    return config.BUILD.KEEP_SNAPSHOTS;
+  }
+
+  const keep = parseInt(options.keep, 10);
+  if (!Number.isInteger(keep) || keep < 0) {
+    throw new Error(`--keep must be a number, got "${options.keep}"`);
+  }
+  return keep;
+}
+
+/**
+ * Print why a build failed: the fix for a known failure, or Rojo's output
+ * @param {string} output - Rojo output
+ * @param {string} projectPath - Project folder
+ * @param {string} projectFile - Project file that was built
+ */
+function printFailure(output, projectPath, projectFile) {
+  const diagnosis = rojoErrors.diagnose(output, projectPath, projectFile);
+
+  if (diagnosis && diagnosis.id !== 'address-in-use') {
+    logger.error(diagnosis.title);
+    if (diagnosis.action === 'open-file') {
+      const line = diagnosis.line ? `:${diagnosis.line}:${diagnosis.column}` : '';
+      logger.info(`  • File: ${diagnosis.file}${line}`);
+    }
+    diagnosis.fixes.forEach(fix => logger.info(`  • ${fix}`));
+  } else if (output) {
+    logger.info('Rojo output:');
+    logger.info(output);
+  }
+}
+
+/**
+ * Print where a build and its snapshot went
+ * @param {Object} build - Build with artifact, size, snapshot and removed
+ * @param {string} projectPath - Project folder
+ */
+function printBuild(build, projectPath) {
+  const time = new Date().toLocaleTimeString();
+
+  logger.success(`[${time}] Built ${path.relative(projectPath, build.artifact)} (${logger.formatSize(build.size)})`);
+
+  if (build.snapshot) {
+    const pruned = build.removed.length > 0 ? `, removed ${build.removed.length} old snapshot(s)` : '';
+    logger.info(`  • Snapshot: ${path.relative(projectPath, build.snapshot)}${pruned}`);
+  }
+}
+
+/**
+ * Rebuild on every change until Ctrl+C
+ * @param {Object} target - Project folder and file
+ * @param {Object} options - CLI options
+ * @param {number} keep - Snapshots to keep
+ * @returns {Promise<number>} Exit code (1 if Rojo stopped by itself)
+ */
+async function watch(target, options, keep) {
+  const { projectPath, projectFile } = target;
+
+  return await new Promise((resolve, reject) => {
+    let watcher = null;
+
+    const onInterrupt = async () => {
+      if (watcher) {
+        await watcher.stop();
+      }
+      logger.newline();
+      logger.info('Stopped watching.');
+      resolve(0);
+    };
+
+    process.once('SIGINT', onInterrupt);
+
+    rojoBuild.watch({
+      projectPath,
+      projectFile,
+      outDir: options.out,
+      keep,
+      onBuild: build => printBuild(build, projectPath),
+      onExit: (code) => {
+        process.removeListener('SIGINT', onInterrupt);
+        logger.error(`rojo build --watch stopped (exit code ${code}).`);
+        printFailure(rojoBuild.getWatchOutput(20, projectFile), projectPath, projectFile);
+        resolve(1);
+      }
+    }).then((started) => {
+      watcher = started;
+      logger.info(`Watching ${projectFile} and rebuilding ${path.relative(projectPath, started.artifact)} on every change. Press Ctrl+C to stop.`);
+      logger.info(`Rojo output: yoblox-setup logs ${started.name}`);
+    }).catch((error) => {
+      process.removeListener('SIGINT', onInterrupt);
+      logger.error(`Failed to start rojo build --watch: ${error.message}`);
+      printFailure(rojoBuild.getWatchOutput(20, projectFile), projectPath, projectFile);
+      resolve(1);
+    });
+  });
+}
+
+/**
+ * Run the build command
+ * @param {Object} options - CLI options
+ * @param {Array<string>} options.commandArgs - Project folder or project file
+ * @param {boolean} options.watch - Rebuild on every change
+ * @param {string} options.out - Build directory (default: build/ in the project)
+ * @param {string} options.keep - Snapshots to keep
+ * @param {string} options.session - Saved session to find the project in
+ * @returns {Promise<number>} Exit code (1 if the build failed)
+ */
+async function run(options = {}) {
+  const keep = getKeep(options);
+  const target = rojoServer.resolveProject(options.commandArgs && options.commandArgs[0], options.session);
+  const { projectPath, projectFile } = target;
+
+  const rojo = await validator.checkRojo();
+  if (!rojo.found) {
+    logger.error('Rojo is not installed. Run yoblox-setup to install it.');
+    return 1;
+  }
+
+  if (options.watch) {
+    return await watch(target, options, keep);
+  }
+
+  logger.info(`Building ${path.join(projectPath, projectFile)}...`);
+
+  const result = await rojoBuild.build({ projectPath, projectFile, outDir: options.out });
+
+  if (!result.success) {
+    logger.error(`Build failed: ${result.error}`);
+    printFailure(result.output, projectPath, projectFile);
+    return 1;
+  }
+
+  const saved = rojoBuild.snapshot(result.artifact, keep);
+  printBuild({ ...result, snapshot: saved.file, removed: saved.removed }, projectPath);
+
+  const others = rojoServer.findProjectFiles(projectPath).filter(file => file !== projectFile);
+  if (others.length > 0) {
+    logger.info(`Build another project file with: yoblox-setup build <file> (${others.join(', ')})`);
+  }
+  return 0;
+}
+
+module.exports = {
+  run
+};
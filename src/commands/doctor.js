@@ -0,0 +1,306 @@
+/**
+ * Doctor Command
+ *
+ * Read-only health check of the development environment
+ * (`yoblox-setup doctor`). Runs the tool checks, update checks, system
+ * requirements, Rojo port availability and VS Code extension checks the
+ * wizard uses, and prints a pass/warn/fail table (or JSON with --json).
+ * Nothing is installed or changed.
+ */
+
+const chalk = require('chalk');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const validator = require('../utils/validator');
+const versionChecker = require('../utils/versionChecker');
+const diagnostics = require('../utils/diagnostics');
+const network = require('../utils/network');
+const rojoServer = require('../utils/rojoServer');
+const system = require('../utils/system');
+const config = require('../config');
+
+const STATUS_LABELS = {
+  pass: chalk.green('PASS'),
+  warn: chalk.yellow('WARN'),
+  fail: chalk.red('FAIL')
+};
+
+/**
+ * Run one check, turning unexpected errors into a warning
+ * @param {string} group - Group the check belongs to
+ * @param {string} name - Check name
+ * @param {Function} fn - async () => { status, detail }
+ * @returns {Promise<Object>} Check result with group, name, status, detail
+ */
+async function runCheck(group, name, fn) {
+  try {
+    const { status, detail } = await fn();
+    return { group, name, status, detail: detail || '' };
+  } catch (error) {
+    return { group, name, status: 'warn', detail: `Could not check: ${error.message}` };
+  }
+}
+
+/**
+ * Describe an update check result
+ * @param {Object} updateInfo - Result of a versionChecker check
+ * @returns {Object} Status and detail
+ */
+function updateStatus(updateInfo) {
+  if (updateInfo.error) {
+    return { status: 'warn', detail: `Could not check for updates: ${updateInfo.error}` };
+  }
+
+  if (updateInfo.hasUpdate) {
+    return { status: 'warn', detail: `${updateInfo.current} installed, ${updateInfo.latest} available` };
+  }
+
+  return { status: 'pass', detail: `${updateInfo.current} is up-to-date` };
+}
+
+/**
+ * Run every check
+ * @returns {Promise<Array<Object>>} Check results
+ */
+async function runChecks() {
+  const checks = [];
+  const add = async (group, name, fn) => {
+    checks.push(await runCheck(group, name, fn));
+  };
+
+  // System
+  await add('System', 'Node.js', async () => {
+    const node = validator.checkNodeVersion();
+    return node.found
+      ? { status: 'pass', detail: node.version }
+      : { status: 'fail', detail: `${node.version} is too old, need ${node.required} or higher` };
+  });
+
+  await add('System', 'Requirements', async () => {
+    const requirements = await diagnostics.checkSystemRequirements();
+    return requirements.met
+      ? { status: 'pass', detail: `${os.platform()}, memory and internet OK` }
+      : { status: 'fail', detail: requirements.issues.join('; ') };
+  });
+
+  // Tools
+  const studio = await validator.checkRobloxStudio();
+  await add('Tools', 'Roblox Studio', async () => {
+    if (studio.found) {
+      return { status: 'pass', detail: studio.version || studio.path };
+    }
+    // Studio is only looked for on Windows; under WSL it runs on the Windows host
+    if (!system.isWindows()) {
+      return { status: 'warn', detail: system.isWSL() ? 'n/a (install on the Windows host)' : 'n/a (only detected on Windows)' };
+    }
+    return { status: 'fail', detail: studio.reason || 'Not installed' };
+  });
+
+  if (studio.found) {
+    await add('Tools', 'Roblox login', async () => {
+      const login = await validator.checkStudioLoggedIn();
+      return login.loggedIn
+        ? { status: 'pass', detail: login.reason }
+        : { status: 'warn', detail: login.reason || login.error || 'Not logged in' };
+    });
+  }
+
+  const vscode = await validator.checkVSCode();
+  await add('Tools', 'VS Code', async () => (
+    vscode.found
+      ? { status: 'pass', detail: vscode.version }
+      : { status: 'fail', detail: '"code" command not found in PATH' }
+  ));
+
+  const git = await validator.checkGit();
+  await add('Tools', 'Git', async () => (
+    git.found
+      ? { status: 'pass', detail: git.version }
+      : { status: 'warn', detail: 'Not installed (optional)' }
+  ));
+
+  const rust = await validator.checkRust();
+  await add('Tools', 'Rust', async () => {
+    if (!rust.rustc) {
+      return { status: 'fail', detail: 'rustc not found in PATH' };
+    }
+    const minimum = validator.checkMinimumVersion('rustc', rust.rustc);
+    return minimum.usable
+      ? { status: 'pass', detail: rust.rustc }
+      : { status: 'fail', detail: `${minimum.version} is too old, need ${minimum.required} or higher` };
+  });
+
+  await add('Tools', 'Cargo', async () => {
+    const cargo = await validator.checkCargo();
+    if (!cargo.found) {
+      return { status: 'fail', detail: 'cargo not found in PATH' };
+    }
+    return cargo.usable
+      ? { status: 'pass', detail: cargo.version }
+      : { status: 'fail', detail: `${cargo.version} is too old, need ${cargo.required} or higher` };
+  });
+
+  const rojo = await validator.checkRojo();
+  await add('Tools', 'Rojo', async () => {
+    if (!rojo.found) {
+      return { status: 'fail', detail: 'rojo not found in PATH' };
+    }
+    return rojo.usable
+      ? { status: 'pass', detail: rojo.version }
+      : { status: 'fail', detail: `${rojo.version} is too old, need ${rojo.required} or higher` };
+  });
+
+  await add('Tools', 'AI CLI', async () => {
+    const found = [];
+    for (const ai of Object.values(config.AI_OPTIONS)) {
+      if ((await validator.checkAiCli(ai.binary)).found) {
+        found.push(ai.binary);
+      }
+    }
+    return found.length > 0
+      ? { status: 'pass', detail: found.join(', ') }
+      : { status: 'warn', detail: 'No AI CLI found (optional)' };
+  });
+
+  // VS Code extensions
+  const installedExtensions = [];
+  for (const extension of config.VSCODE_EXTENSIONS) {
+    await add('VS Code extensions', extension.name, async () => {
+      const result = await validator.checkVSCodeExtension(extension.id);
+      if (result.found) {
+        installedExtensions.push(extension);
+        return { status: 'pass', detail: extension.id };
+      }
+      return { status: 'fail', detail: `${extension.id} not installed` };
+    });
+  }
+
+  // Updates (only for installed tools)
+  if (studio.found) {
+    await add('Updates', 'Roblox Studio', async () => {
+      const age = versionChecker.checkStudioUpdateByAge(studio.path);
+      if (age.error) {
+        return { status: 'warn', detail: `Could not check: ${age.error}` };
+      }
+      return age.needsUpdate
+        ? { status: 'warn', detail: `Last updated ${age.daysSinceModified} days ago` }
+        : { status: 'pass', detail: `Updated ${age.daysSinceModified} days ago` };
+    });
+  }
+
+  if (git.found) {
+    await add('Updates', 'Git', async () => updateStatus(await versionChecker.checkGitUpdate()));
+  }
+
+  if (rust.found) {
+    await add('Updates', 'Rust', async () => updateStatus(await versionChecker.checkRustUpdate()));
+  }
+
+  if (rojo.found) {
+    await add('Updates', 'Rojo', async () => updateStatus(await versionChecker.checkRojoUpdate()));
+  }
+
+  for (const extension of installedExtensions) {
+    await add('Updates', extension.name, async () => (
+      updateStatus(await versionChecker.checkVSCodeExtensionUpdate(extension.id))
+    ));
+  }
+
+  // Rojo port
+  const { DEFAULT_PORT } = config.ROJO;
+
+  await add('Ports', `Rojo port ${DEFAULT_PORT}`, async () => {
+    if (await network.isPortAvailable(DEFAULT_PORT)) {
+      return { status: 'pass', detail: 'Available' };
+    }
+
+    // Read-only: stale pidfiles are left for serve and the wizard to clean up
+    const server = (await rojoServer.listServers({ readOnly: true })).find(entry => entry.port === DEFAULT_PORT);
+    if (server) {
+      return { status: 'pass', detail: `Used by the managed Rojo server for ${path.join(server.project, server.projectFile)}` };
+    }
+
+    const owner = network.getPortOwner(DEFAULT_PORT);
+    const usedBy = owner ? `${owner.name || 'unknown program'} (PID ${owner.pid})` : 'another program';
+
+    const freePort = await rojoServer.findPort({ skipDefault: true });
+    return freePort
+      ? { status: 'warn', detail: `In use by ${usedBy}; Studio would have to connect to port ${freePort} instead` }
+      : { status: 'fail', detail: `In use by ${usedBy}, and so are ports up to ${DEFAULT_PORT + config.ROJO.PORT_SEARCH_RANGE}` };
+  });
+
+  return checks;
+}
+
+/**
+ * Count checks by status
+ * @param {Array<Object>} checks - Check results
+ * @returns {Object} Counts of pass, warn and fail
+ */
+function summarize(checks) {
+  const summary = { pass: 0, warn: 0, fail: 0 };
+  for (const check of checks) {
+    summary[check.status]++;
+  }
+  return summary;
+}
+
+/**
+ * Print check results as a table
+ * @param {Array<Object>} checks - Check results
+ */
+function printTable(checks) {
+  const nameWidth = Math.max(...checks.map(check => check.name.length), 5) + 2;
+  let group = null;
+
+  logger.header('yoblox-setup doctor');
+
+  for (const check of checks) {
+    if (check.group !== group) {
+      group = check.group;
+      console.log(chalk.bold(`\n${group}`));
+    }
+
+    console.log(`  ${STATUS_LABELS[check.status]}  ${check.name.padEnd(nameWidth)}${chalk.gray(check.detail)}`);
+  }
+
+  const summary = summarize(checks);
+
+  logger.newline();
+  logger.divider();
+  console.log(
+    `${chalk.green(`${summary.pass} passed`)}, ` +
+    `${chalk.yellow(`${summary.warn} warnings`)}, ` +
+    `${chalk.red(`${summary.fail} failed`)}`
+  );
+
+  if (summary.fail > 0) {
+    logger.newline();
+    logger.info('Run yoblox-setup to install or fix the failed items.');
+  }
+}
+
+/**
+ * Run the doctor command
+ * @param {Object} options - CLI options
+ * @param {boolean} options.json - Print JSON instead of a table
+ * @returns {Promise<number>} Exit code (1 if any check failed)
+ */
+async function run(options = {}) {
+  const checks = await runChecks();
+  const summary = summarize(checks);
+
+  if (options.json) {
+    console.log(JSON.stringify({ ok: summary.fail === 0, summary, checks }, null, 2));
+  } else {
+    printTable(checks);
+  }
+
+  return summary.fail > 0 ? 1 : 0;
+}
+
+module.exports = {
+  run,
+  runChecks
+};
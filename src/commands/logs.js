@@ -0,0 +1,122 @@
+/**
+ * Logs Command
+ *
+ * Shows the output of managed background processes such as the Rojo
+ * server (`yoblox-setup logs <name> [--follow]`). Without a name it lists
+ * the processes that have logs. With --follow it keeps printing new
+ * output until Ctrl+C, continuing across log rotations.
+ */
+
+const fs = require('fs');
+const chalk = require('chalk');
+const logger = require('../utils/logger');
+const processLogs = require('../utils/processLogs');
+
+// Lines shown when --lines is not given
+const DEFAULT_LINES = 50;
+
+// How often --follow checks for new output (ms)
+const FOLLOW_INTERVAL = 500;
+
+/**
+ * Print the processes that have logs
+ * @param {Array<Object>} logs - Logs from processLogs.list()
+ */
+function printList(logs) {
+  if (logs.length === 0) {
+    logger.info('No process logs yet. They appear once the Rojo server has been started.');
+    return;
+  }
+
+  const width = Math.max(20, ...logs.map(log => log.name.length + 2));
+
+  logger.info('Process logs:');
+  for (const log of logs) {
+    console.log(`  ${log.name.padEnd(width)}${logger.formatSize(log.size).padEnd(12)}${chalk.gray(log.modified.toLocaleString())}`);
+  }
+  logger.newline();
+  logger.info('Show one with: yoblox-setup logs <name> [--follow]');
+}
+
+/**
+ * Print new output as it is written to a log file, until Ctrl+C
+ * @param {string} file - Log file
+ * @returns {Promise<number>} Exit code
+ */
+async function follow(file) {
+  let position = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+  return await new Promise((resolve) => {
+    const timer = setInterval(() => {
+      const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+      // The file was rotated (moved away or truncated): start over
+      if (size < position) {
+        position = 0;
+      }
+
+      if (size > position) {
+        const fd = fs.openSync(file, 'r');
+        const buffer = Buffer.alloc(size - position);
+        fs.readSync(fd, buffer, 0, buffer.length, position);
+        fs.closeSync(fd);
+
+        process.stdout.write(buffer.toString('utf8'));
+        position = size;
+      }
+    }, FOLLOW_INTERVAL);
+
+    process.once('SIGINT', () => {
+      clearInterval(timer);
+      resolve(0);
+    });
+  });
+}
+
+/**
+ * Run the logs command
+ * @param {Object} options - CLI options
+ * @param {Array<string>} options.commandArgs - Process name
+ * @param {boolean} options.follow - Keep printing new output
+ * @param {string} options.lines - Number of lines to show
+ * @returns {Promise<number>} Exit code (1 if the process has no log)
+ */
+async function run(options = {}) {
+  const name = options.commandArgs && options.commandArgs[0];
+  const logs = processLogs.list();
+
+  if (!name) {
+    printList(logs);
+    return 0;
+  }
+
+  const log = logs.find(entry => entry.name === name);
+
+  if (!log) {
+    logger.error(`No logs for "${name}".`);
+    if (logs.length > 0) {
+      logger.info(`Available: ${logs.map(entry => entry.name).join(', ')}`);
+    }
+    return 1;
+  }
+
+  const lines = options.lines ? parseInt(options.lines, 10) : DEFAULT_LINES;
+  if (!Number.isInteger(lines) || lines < 0) {
+    throw new Error(`--lines must be a number, got "${options.lines}"`);
+  }
+
+  const output = processLogs.tail(name, lines);
+  if (output) {
+    console.log(output);
+  }
+
+  if (options.follow) {
+    return await follow(log.file);
+  }
+
+  return 0;
+}
+
+module.exports = {
+  run
+};
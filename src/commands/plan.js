@@ -0,0 +1,129 @@
+/**
+ * Plan Command
+ *
+ * Shows what the wizard would install, download, open and start
+ * (--plan) without changing anything. Every state's check() runs as
+ * usual; its plan() hook lists the actions run() may take. Output is
+ * human-readable text, or JSON with --json.
+ */
+
+const chalk = require('chalk');
+const os = require('os');
+const StateMachine = require('../statemachine');
+const logger = require('../utils/logger');
+
+// Labels for action types, in the order the summary lists them
+const ACTION_LABELS = {
+  download: 'Download',
+  run: 'Run',
+  open: 'Open',
+  start: 'Start',
+  bind: 'Port',
+  write: 'Write'
+};
+
+/**
+ * Build the plan for a set of states
+ * @param {Array} states - State modules
+ * @param {Object} options - CLI options (only, from, skip)
+ * @returns {Promise<Object>} Plan with metadata and per-state steps
+ */
+async function build(states, options = {}) {
+  const machine = new StateMachine(states, options);
+  const steps = await machine.plan();
+
+  return {
+    wizardVersion: require('../../package.json').version,
+    generatedAt: new Date().toISOString(),
+    platform: os.platform(),
+    cwd: process.cwd(),
+    states: steps
+  };
+}
+
+/**
+ * Describe the check result of a planned state
+ * @param {Object} step - Plan step
+ * @returns {string} Short status text
+ */
+function describeStatus(step) {
+  if (step.status === 'not-selected') {
+    return chalk.gray('not selected');
+  }
+  if (step.status === 'skip') {
+    return chalk.green('already done, skipped');
+  }
+  if (step.check && step.check.error) {
+    return chalk.yellow(`check failed: ${step.check.error}`);
+  }
+  return step.check && step.check.found ? chalk.green('found') : chalk.yellow('not found');
+}
+
+/**
+ * Print a plan as text
+ * @param {Object} plan - Plan from build()
+ */
+function print(plan) {
+  logger.header('Setup Plan');
+  logger.info('Nothing has been changed. This is what running the wizard would do:');
+
+  const total = plan.states.length;
+
+  plan.states.forEach((step, index) => {
+    logger.step(index + 1, total, `${chalk.bold(step.state)} (${describeStatus(step)})`);
+
+    if (step.status !== 'run') {
+      return;
+    }
+
+    if (step.actions.length === 0) {
+      console.log(chalk.gray('  No changes'));
+      return;
+    }
+
+    for (const action of step.actions) {
+      const label = (ACTION_LABELS[action.type] || action.type).padEnd(9);
+      console.log(`  ${chalk.cyan(label)} ${action.target}`);
+      console.log(chalk.gray(`            ${action.description}${action.when ? ` (${action.when})` : ''}`));
+    }
+  });
+
+  // Summary grouped by action type
+  const actions = plan.states.reduce((all, step) => all.concat(step.actions), []);
+
+  logger.newline();
+  logger.divider();
+
+  for (const [type, label] of Object.entries(ACTION_LABELS)) {
+    const targets = [...new Set(actions.filter(action => action.type === type).map(action => String(action.target)))];
+    if (targets.length > 0) {
+      console.log(chalk.bold(`${label}:`));
+      logger.list(targets);
+    }
+  }
+
+  logger.newline();
+  logger.info('Actions marked "if ..." only happen when that condition is met during setup.');
+}
+
+/**
+ * Build and print the plan
+ * @param {Array} states - State modules
+ * @param {Object} options - CLI options
+ * @param {boolean} options.json - Print JSON instead of text
+ */
+async function run(states, options = {}) {
+  const plan = await build(states, options);
+
+  if (options.json) {
+    console.log(JSON.stringify(plan, null, 2));
+  } else {
+    print(plan);
+  }
+}
+
+module.exports = {
+  build,
+  print,
+  run
+};
@@ -0,0 +1,366 @@
+/**
+ * Serve Command
+ *
+ * Runs the project's Rojo server in the background, independent of the
+ * wizard (`yoblox-setup serve [project]`). The server is detached and
+ * recorded in a pidfile, so it survives this command and later runs can
+ * check on it (`serve --status`) or stop it (`serve --stop`).
+ * `serve --watch` stays in the foreground, supervising the server
+ * (restarting it after crashes) and printing its status as it changes.
+ *
+ * The project is the folder (or *.project.json file) given as argument,
+ * otherwise the current folder if it has a *.project.json, otherwise the
+ * project from the saved setup session. A folder is served with its
+ * default.project.json. Each project file gets its own server, so
+ * several can run side by side; --status and --stop cover all of them.
+ *
+ * --address <address> makes the server listen on another address than
+ * localhost (0.0.0.0 for every network), for Studio on another machine or
+ * on Windows while this runs in WSL. The hosts it answers on are checked
+ * and printed, ready to type into the Studio plugin.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const rojoServer = require('../utils/rojoServer');
+const rojoApi = require('../utils/rojoApi');
+const rojoErrors = require('../utils/rojoErrors');
+const network = require('../utils/network');
+const system = require('../utils/system');
+const validator = require('../utils/validator');
+const config = require('../config');
+
+/**
+ * Describe how long ago a timestamp was
+ * @param {number} time - Timestamp in ms
+ * @returns {string} Duration such as "5m" or "2h 10m"
+ */
+function formatUptime(time) {
+  const minutes = Math.floor((Date.now() - time) / 60000);
+  const hours = Math.floor(minutes / 60);
+
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+/**
+ * Print details of a running server
+ * @param {Object} server - Server record from rojoServer.getServer()
+ * @param {Object} info - What the server reports on /api/rojo (optional)
+ */
+function printServer(server, info) {
+  logger.info(`  • PID: ${server.pid}`);
+  logger.info(`  • Port: ${server.port} (${server.listening ? 'listening' : 'not listening'})`);
+  logger.info(`  • URL: ${server.url}`);
+  if (server.address !== config.ROJO.DEFAULT_ADDRESS) {
+    logger.info(`  • Address: ${server.address} (reachable from other machines)`);
+  }
+  logger.info(`  • Project: ${server.project}`);
+  logger.info(`  • Project file: ${server.projectFile}`);
+
+  if (info) {
+    logger.info(`  • Rojo: ${info.serverVersion} (protocol ${info.protocolVersion}), project "${info.projectName}", session ${info.sessionId}`);
+  }
+
+  logger.info(`  • Uptime: ${formatUptime(server.startTime)}`);
+  const startedBy = { serve: 'yoblox-setup serve', adopted: 'another program (taken over by the wizard)' };
+  logger.info(`  • Started by: ${startedBy[server.startedBy] || 'the setup wizard'}`);
+  logger.info(`  • Output: ${server.logFile || 'not captured (started outside yoblox-setup)'}`);
+
+  if (server.health) {
+    const { health } = server;
+    const restarts = health.restarts ? `, ${health.restarts} restart(s)` : '';
+    logger.info(`  • Health: ${health.status}${restarts} (checked ${formatUptime(health.time)} ago)`);
+
+    if (health.lastCrash) {
+      logger.info(`  • Last crash: ${health.lastCrash.reason} (${formatUptime(health.lastCrash.time)} ago)`);
+    }
+  }
+}
+
+/**
+ * Print the hosts the Studio plugin can reach a server on, checking each
+ * @param {Object} server - Server record
+ */
+async function printConnectHosts(server) {
+  const hosts = rojoServer.getConnectHosts(server.address);
+
+  logger.info('Connect the Rojo plugin in Studio to:');
+
+  for (const entry of hosts) {
+    const response = await rojoApi.getInfo(server.port, { host: entry.host, timeout: 2000 });
+    const line = `${entry.host}:${server.port} - ${entry.label}`;
+
+    logger.info(response.success ? `  ✓ ${line}` : `  ✗ ${line} (${response.error})`);
+  }
+
+  if (!rojoServer.isLoopback(server.address)) {
+    logger.info(`A firewall can still block other machines: allow incoming TCP port ${server.port} if Studio cannot connect.`);
+  }
+}
+
+/**
+ * Supervise the server in the foreground until Ctrl+C, printing status
+ * changes. The server keeps running afterwards.
+ * @param {Object} server - Server record
+ * @returns {Promise<number>} Exit code (1 if the server could not be kept running)
+ */
+async function watch(server) {
+  const supervisor = rojoServer.supervise(server, { keepAlive: true });
+
+  logger.newline();
+  logger.info(`Watching the Rojo server (health check every ${config.ROJO.HEALTH_CHECK_INTERVAL / 1000}s). Press Ctrl+C to stop watching.`);
+
+  return await new Promise((resolve) => {
+    const onInterrupt = () => {
+      supervisor.stop();
+      logger.newline();
+      logger.info('Stopped watching. The Rojo server keeps running.');
+      resolve(0);
+    };
+
+    process.once('SIGINT', onInterrupt);
+
+    supervisor.on('crash', ({ reason }) => {
+      logger.warning(`Rojo server crashed: ${reason}`);
+    });
+
+    supervisor.on('status', ({ status, previous, reason, delay }) => {
+      if (status === 'unhealthy') {
+        logger.warning(`Rojo server is not responding: ${reason}`);
+      } else if (status === 'restarting') {
+        logger.info(`Restarting in ${Math.round(delay / 1000)}s...`);
+      } else if (status === 'running' && previous !== 'stopped') {
+        logger.success(`Rojo server is running on port ${server.port}`);
+      } else if (status === 'failed') {
+        process.removeListener('SIGINT', onInterrupt);
+        supervisor.stop();
+        logger.error(`Giving up: ${reason}`);
+        resolve(1);
+      } else if (status === 'stopped' && reason) {
+        // Stopped with serve --stop in another terminal
+        process.removeListener('SIGINT', onInterrupt);
+        logger.info('The Rojo server was stopped, so there is nothing left to watch.');
+        resolve(0);
+      }
+    });
+
+    supervisor.watch();
+  });
+}
+
+/**
+ * Show which servers are running
+ * @param {Object} options - CLI options
+ * @returns {Promise<number>} Exit code (1 if no server is running)
+ */
+async function status(options) {
+  const servers = await rojoServer.listServers();
+  const results = [];
+
+  for (const server of servers) {
+    const api = await rojoApi.getInfo(server.port, { host: server.host });
+    results.push({ server, info: api.success ? api.info : null, error: api.success ? null : api.error });
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results.map(({ server, info }) => ({ ...server, info })), null, 2));
+    return results.length > 0 ? 0 : 1;
+  }
+
+  if (results.length === 0) {
+    logger.info('No Rojo server is running.');
+    return 1;
+  }
+
+  results.forEach(({ server, info, error }, index) => {
+    if (index > 0) {
+      logger.newline();
+    }
+
+    logger.success(`Rojo server for ${server.projectFile} is running:`);
+    printServer(server, info);
+
+    if (error) {
+      logger.warning(`The server does not answer the Rojo API: ${error}`);
+    }
+  });
+  return 0;
+}
+
+/**
+ * Stop all running servers
+ * @returns {Promise<number>} Exit code
+ */
+async function stop() {
+  const servers = await rojoServer.listServers();
+
+  if (servers.length === 0) {
+    logger.info('No Rojo server is running.');
+    return 0;
+  }
+
+  for (const server of servers) {
+    await rojoServer.stop(server.projectFile);
+    logger.success(`Stopped Rojo server for ${server.projectFile} (PID: ${server.pid}, port ${server.port})`);
+  }
+  return 0;
+}
+
+/**
+ * Print why the server failed to start: the fix for a known failure, or
+ * its raw output
+ * @param {string} projectPath - Project folder
+ * @param {string} projectFile - Project file
+ */
+function printStartupFailure(projectPath, projectFile) {
+  const output = rojoServer.getOutput(20, projectFile);
+  const diagnosis = rojoErrors.diagnose(output, projectPath, projectFile);
+
+  if (diagnosis) {
+    logger.error(diagnosis.title);
+    if (diagnosis.action === 'open-file') {
+      const line = diagnosis.line ? `:${diagnosis.line}:${diagnosis.column}` : '';
+      logger.info(`  • File: ${diagnosis.file}${line}`);
+    }
+    diagnosis.fixes.forEach(fix => logger.info(`  • ${fix}`));
+    logger.info(`Full output: yoblox-setup logs ${rojoServer.getServerName(projectFile)}`);
+  } else if (output) {
+    logger.info('Server output:');
+    logger.info(output);
+  }
+}
+
+/**
+ * Start a server for the project
+ * @param {Object} options - CLI options
+ * @returns {Promise<number>} Exit code
+ */
+async function start(options) {
+  const { projectPath, projectFile } = rojoServer.resolveProject(
+    options.commandArgs && options.commandArgs[0],
+    options.session
+  );
+  const address = options.address || config.ROJO.DEFAULT_ADDRESS;
+  const existing = await rojoServer.getServer(projectFile);
+
+  if (!network.isLocalAddress(address)) {
+    const addresses = network.getLanAddresses().map(entry => entry.address);
+    logger.error(`${address} is not an address of this machine.`);
+    logger.info(`Use one of: localhost, 0.0.0.0 (every network)${addresses.length > 0 ? `, ${addresses.join(', ')}` : ''}`);
+    return 1;
+  }
+
+  if (existing) {
+    if (rojoServer.isServing(existing, projectPath, projectFile)) {
+      if (options.address && existing.address !== address) {
+        logger.error(`The Rojo server for this project listens on ${existing.address} (PID: ${existing.pid}).`);
+        logger.info(`Stop it first to serve on ${address}: yoblox-setup serve --stop`);
+        return 1;
+      }
+
+      logger.info('Rojo server is already running for this project:');
+      printServer(existing);
+      return options.watch ? await watch(existing) : 0;
+    }
+
+    logger.error(`A Rojo server for ${existing.project} is already running (PID: ${existing.pid}).`);
+    logger.info('Stop it first with: yoblox-setup serve --stop');
+    return 1;
+  }
+
+  const rojo = await validator.checkRojo();
+  if (!rojo.found) {
+    logger.error('Rojo is not installed. Run yoblox-setup to install it.');
+    return 1;
+  }
+
+  const port = await rojoServer.findPort();
+  if (!port) {
+    logger.error(`All Rojo ports (${rojoServer.getPortRange()}) are in use.`);
+    return 1;
+  }
+
+  // Another of our servers on the default port is expected; anything else is news
+  const servers = await rojoServer.listServers();
+  if (port !== config.ROJO.DEFAULT_PORT && !servers.some(server => server.port === config.ROJO.DEFAULT_PORT)) {
+    const owner = network.getPortOwner(config.ROJO.DEFAULT_PORT);
+    const usedBy = owner ? ` by ${owner.name || 'unknown program'} (PID ${owner.pid})` : '';
+    logger.warning(`Port ${config.ROJO.DEFAULT_PORT} is in use${usedBy}, so the server uses port ${port}.`);
+    logger.info(`Enter port ${port} in the Rojo plugin in Studio, or free port ${config.ROJO.DEFAULT_PORT} and start again.`);
+  }
+
+  const on = address === config.ROJO.DEFAULT_ADDRESS ? '' : ` (listening on ${address})`;
+  logger.info(`Starting Rojo server for ${path.join(projectPath, projectFile)} on port ${port}${on}...`);
+  let server;
+  try {
+    server = await rojoServer.start({ projectPath, projectFile, port, address, startedBy: 'serve' });
+  } catch (error) {
+    logger.error(`Failed to start Rojo server: ${error.message}`);
+    printStartupFailure(projectPath, projectFile);
+    return 1;
+  }
+
+  const ready = await rojoServer.waitForReady(server);
+  const serverCheck = ready
+    ? await rojoApi.waitForServer(port, { projectName: rojoApi.readProjectName(projectPath, projectFile) },
+      undefined, { host: rojoServer.getLocalHost(address) })
+    : null;
+
+  if (!ready || !serverCheck.ours) {
+    logger.error(ready ? serverCheck.reason : 'Rojo server started but is not listening.');
+    printStartupFailure(projectPath, projectFile);
+    await rojoServer.stop(projectFile);
+    return 1;
+  }
+
+  logger.success(`Rojo server running in the background (PID: ${server.pid})`);
+  logger.info(`  • URL: http://${rojoServer.getLocalHost(address)}:${port}`);
+  logger.info(`  • Rojo ${serverCheck.info.serverVersion}, project "${serverCheck.info.projectName}"`);
+  serverCheck.issues.forEach(issue => logger.warning(issue));
+
+  logger.newline();
+  await printConnectHosts(server);
+
+  if (!options.address && system.isWSL()) {
+    logger.info('Studio on Windows? Stop this server and start it with --address 0.0.0.0');
+  }
+
+  if (options.watch) {
+    return await watch(server);
+  }
+
+  const others = rojoServer.findProjectFiles(projectPath).filter(file => file !== projectFile);
+
+  logger.newline();
+  if (others.length > 0) {
+    logger.info(`Serve another project file with: yoblox-setup serve <file> (${others.join(', ')})`);
+  }
+  logger.info('Check on it with yoblox-setup serve --status, stop it with yoblox-setup serve --stop.');
+  return 0;
+}
+
+/**
+ * Run the serve command
+ * @param {Object} options - CLI options
+ * @param {boolean} options.status - Show the running server instead of starting one
+ * @param {boolean} options.stop - Stop the running server
+ * @param {boolean} options.watch - Supervise the server in the foreground
+ * @param {boolean} options.json - Print --status as JSON
+ * @param {string} options.address - Address to listen on (default: localhost)
+ * @returns {Promise<number>} Exit code
+ */
+async function run(options = {}) {
+  if (options.stop) {
+    return await stop();
+  }
+
+  if (options.status) {
+    return await status(options);
+  }
+
+  return await start(options);
+}
+
+module.exports = {
+  run
+};
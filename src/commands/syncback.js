@@ -0,0 +1,208 @@
+/**
+ * Syncback Command
+ *
+ * Pulls edits made in Studio (maps, UI, ...) back into the project
+ * (`yoblox-setup syncback <place file> [project]`). Rojo's syncback runs
+ * on a temporary copy of the project, so nothing is written until the
+ * preview of created, changed and deleted files under the project's
+ * mapped paths has been shown and the changes to apply have been chosen.
+ * Files that are overwritten or deleted are backed up first. --yes
+ * applies every change without asking.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const semver = require('semver');
+const logger = require('../utils/logger');
+const prompt = require('../utils/prompt');
+const rojoErrors = require('../utils/rojoErrors');
+const rojoServer = require('../utils/rojoServer');
+const syncback = require('../utils/syncback');
+const validator = require('../utils/validator');
+const config = require('../config');
+
+// Files Rojo's syncback reads
+const INPUT_EXTENSIONS = ['.rbxl', '.rbxlx', '.rbxm', '.rbxmx'];
+
+// How each kind of change is shown
+const CHANGE_LABELS = {
+  create: { symbol: '+', color: chalk.green, title: 'Created' },
+  change: { symbol: '~', color: chalk.yellow, title: 'Changed' },
+  delete: { symbol: '-', color: chalk.red, title: 'Deleted' }
+};
+
+/**
+ * Check that the place file exists and is one Rojo can read
+ * @param {string} input - Place file from the command line
+ * @returns {string} Absolute path
+ */
+function resolveInput(input) {
+  if (!input) {
+    throw new Error('Pass the place file saved from Studio: yoblox-setup syncback <place.rbxl> [project]');
+  }
+
+  const file = path.resolve(input);
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`Place file not found: ${file}`);
+  }
+
+  if (!INPUT_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+    throw new Error(`Expected a place or model file (${INPUT_EXTENSIONS.join(', ')}), got ${path.basename(file)}`);
+  }
+
+  return file;
+}
+
+/**
+ * Print the file-level preview, grouped by kind of change
+ * @param {Array<Object>} changes - Changes from syncback.diff()
+ */
+function printPreview(changes) {
+  for (const type of Object.keys(CHANGE_LABELS)) {
+    const matching = changes.filter(change => change.type === type);
+    const { symbol, color, title } = CHANGE_LABELS[type];
+
+    if (matching.length === 0) {
+      continue;
+    }
+
+    logger.info(`${title} (${matching.length}):`);
+    for (const change of matching) {
+      console.log(color(`  ${symbol} ${change.file}`));
+    }
+    logger.newline();
+  }
+}
+
+/**
+ * Ask which changes to apply. Deletions start unselected, since a file
+ * missing from the place may just not have been saved from Studio.
+ * @param {Array<Object>} changes - Changes from syncback.diff()
+ * @returns {Promise<Array<Object>>} Chosen changes
+ */
+async function chooseChanges(changes) {
+  const chosen = await prompt.multiselect(
+    'Which changes should be applied? (space to select, enter to confirm)',
+    changes.map(change => ({
+      name: change.file,
+      message: `${CHANGE_LABELS[change.type].symbol} ${change.file}`,
+      enabled: change.type !== 'delete'
+    })),
+    { key: 'syncback-changes' }
+  );
+
+  return changes.filter(change => (chosen || []).includes(change.file));
+}
+
+/**
+ * Run the syncback command
+ * @param {Object} options - CLI options
+ * @param {Array<string>} options.commandArgs - Place file, then the project (optional)
+ * @param {boolean} options.yes - Apply every change without asking
+ * @param {string} options.session - Saved session to find the project in
+ * @returns {Promise<number>} Exit code (1 if syncback failed)
+ */
+async function run(options = {}) {
+  const args = options.commandArgs || [];
+  const input = resolveInput(args[0]);
+  const { projectPath, projectFile } = rojoServer.resolveProject(args[1], options.session);
+
+  const rojo = await validator.checkRojo();
+  if (!rojo.found) {
+    logger.error('Rojo is not installed. Run yoblox-setup to install it.');
+    return 1;
+  }
+
+  const version = semver.coerce(rojo.version);
+  if (version && semver.lt(version, config.ROJO.SYNCBACK_VERSION)) {
+    logger.error(`Syncback needs Rojo ${config.ROJO.SYNCBACK_VERSION} or newer (you have ${version}).`);
+    logger.info('Update it with: yoblox-setup update');
+    return 1;
+  }
+
+  const mapped = syncback.getMappedPaths(projectPath, projectFile);
+
+  // Never written to: Rojo syncs them into a scratch copy that is thrown away
+  const outside = mapped.filter(syncback.isOutside);
+  const mappedPaths = mapped.filter(mappedPath => !syncback.isOutside(mappedPath));
+
+  if (outside.length > 0) {
+    logger.warning(`Not synced back (outside the project folder): ${outside.join(', ')}`);
+  }
+
+  if (mappedPaths.length === 0) {
+    logger.error(`${projectFile} maps no folders (no "$path" entries), so there is nothing to sync back into.`);
+    return 1;
+  }
+
+  logger.info(`Syncing ${path.basename(input)} back into ${path.join(projectPath, projectFile)}...`);
+  logger.info(`  • Mapped paths: ${mappedPaths.join(', ')}`);
+  logger.newline();
+
+  const workspace = syncback.createWorkspace(projectPath, projectFile, mappedPaths);
+
+  try {
+    const result = await syncback.runSyncback(workspace, projectFile, input);
+
+    if (!result.success) {
+      logger.error(`Syncback failed: ${result.error}`);
+
+      const diagnosis = rojoErrors.diagnose(result.output, projectPath, projectFile);
+      if (diagnosis) {
+        logger.info(diagnosis.title);
+        diagnosis.fixes.forEach(fix => logger.info(`  • ${fix}`));
+      } else if (result.output) {
+        logger.info(result.output);
+      }
+      return 1;
+    }
+
+    const changes = syncback.diff(projectPath, workspace, projectFile, mappedPaths);
+
+    if (changes.length === 0) {
+      logger.success('Nothing to sync back: the project already matches the place file.');
+      return 0;
+    }
+
+    printPreview(changes);
+
+    const selected = options.yes ? changes : await chooseChanges(changes);
+
+    if (selected.length === 0) {
+      logger.info('No changes chosen, the project is unchanged.');
+      return 0;
+    }
+
+    const overwritten = selected.filter(change => change.type !== 'create').length;
+    const backupNote = overwritten > 0 ? ` (${overwritten} file(s) backed up first)` : '';
+
+    if (!options.yes) {
+      const confirmed = await prompt.confirm(`Apply ${selected.length} change(s)${backupNote}?`, true, { key: 'syncback-apply' });
+
+      if (!confirmed) {
+        logger.info('Cancelled, the project is unchanged.');
+        return 0;
+      }
+    }
+
+    const applied = syncback.apply(projectPath, workspace, selected);
+
+    logger.success(`Applied ${applied.applied} change(s) to ${projectPath}`);
+    if (applied.backupDir) {
+      logger.info(`  • Backups of the previous files: ${applied.backupDir}`);
+    }
+    if (selected.length < changes.length) {
+      logger.info(`  • Left out: ${changes.length - selected.length} change(s)`);
+    }
+    logger.info('Review them with git diff before committing.');
+    return 0;
+  } finally {
+    syncback.removeWorkspace(workspace);
+  }
+}
+
+module.exports = {
+  run
+};
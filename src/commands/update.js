@@ -0,0 +1,268 @@
+/**
+ * Update Command
+ *
+ * Upgrades the whole toolchain at once (`yoblox-setup update`): checks
+ * Rust, Rojo, Git, Roblox Studio and the VS Code extensions for updates,
+ * shows them in one table, applies the ones the user selects (all of
+ * them with --yes) and prints a summary.
+ */
+
+const chalk = require('chalk');
+const logger = require('../utils/logger');
+const prompt = require('../utils/prompt');
+const validator = require('../utils/validator');
+const versionChecker = require('../utils/versionChecker');
+const installer = require('../utils/installer');
+const system = require('../utils/system');
+const config = require('../config');
+
+/**
+ * Collect the update sources for installed tools. Each has a check()
+ * returning versionChecker-style info and an apply() returning success.
+ * Manual updates (opening a download page or an installer window) are
+ * not applied with --yes.
+ * @returns {Promise<Array<Object>>} Update sources
+ */
+async function getSources() {
+  const sources = [];
+
+  if ((await validator.checkRust()).found) {
+    sources.push({
+      id: 'rust',
+      name: 'Rust',
+      check: versionChecker.checkRustUpdate,
+      apply: async () => (await installer.runCommand('rustup', ['update'])).success
+    });
+  }
+
+  if ((await validator.checkRojo()).found) {
+    sources.push({
+      id: 'rojo',
+      name: 'Rojo',
+      check: versionChecker.checkRojoUpdate,
+      apply: () => installer.installRojo()
+    });
+  }
+
+  for (const extension of config.VSCODE_EXTENSIONS) {
+    if ((await validator.checkVSCodeExtension(extension.id)).found) {
+      sources.push({
+        id: extension.id,
+        name: extension.name,
+        check: () => versionChecker.checkVSCodeExtensionUpdate(extension.id),
+        apply: () => installer.installVSCodeExtension(extension.id, { force: true })
+      });
+    }
+  }
+
+  if ((await validator.checkGit()).found) {
+    sources.push({
+      id: 'git',
+      name: 'Git',
+      manual: `Download the latest Git from ${config.GIT_DOWNLOAD_URL}`,
+      check: versionChecker.checkGitUpdate,
+      apply: async () => {
+        await installer.openURL(config.GIT_DOWNLOAD_URL);
+        await prompt.pressEnterToContinue('Press Enter after Git is updated...', { key: 'git-updated' });
+        return true;
+      }
+    });
+  }
+
+  const studio = await validator.checkRobloxStudio();
+  if (studio.found && system.isWindows()) {
+    sources.push({
+      id: 'studio',
+      name: 'Roblox Studio',
+      manual: 'Launch Roblox Studio to let it update, or reinstall it',
+      check: async () => {
+        const age = versionChecker.checkStudioUpdateByAge(studio.path);
+        return {
+          hasUpdate: age.needsUpdate,
+          current: age.error ? null : `${age.daysSinceModified} days old`,
+          latest: age.needsUpdate ? 'latest installer' : null,
+          error: age.error
+        };
+      },
+      apply: async () => {
+        const started = await installer.downloadAndInstallStudio();
+        if (started) {
+          await prompt.pressEnterToContinue('Press Enter after Studio installation completes...', { key: 'studio-updated' });
+        }
+        return started;
+      }
+    });
+  }
+
+  return sources;
+}
+
+/**
+ * Check every source for updates
+ * @returns {Promise<Array<Object>>} Sources with an `info` update result
+ */
+async function gatherUpdates() {
+  const sources = await getSources();
+
+  for (const source of sources) {
+    try {
+      source.info = await source.check();
+    } catch (error) {
+      source.info = { hasUpdate: false, error: error.message };
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Print the combined update table
+ * @param {Array<Object>} updates - Sources with update info
+ */
+function printTable(updates) {
+  const nameWidth = Math.max(...updates.map(update => update.name.length), 4) + 2;
+
+  logger.header('Toolchain Updates');
+  console.log(chalk.bold(`  ${'Tool'.padEnd(nameWidth)}${'Installed'.padEnd(20)}${'Latest'.padEnd(20)}Status`));
+
+  for (const update of updates) {
+    const { info } = update;
+    let status;
+
+    if (info.error) {
+      status = chalk.yellow(`could not check (${info.error})`);
+    } else if (info.hasUpdate) {
+      status = chalk.cyan(update.manual ? 'update available (manual)' : 'update available');
+    } else {
+      status = chalk.green('up-to-date');
+    }
+
+    console.log(
+      `  ${update.name.padEnd(nameWidth)}${String(info.current || '-').padEnd(20)}` +
+      `${String(info.latest || '-').padEnd(20)}${status}`
+    );
+  }
+
+  logger.newline();
+}
+
+/**
+ * Print what happened to each selected update
+ * @param {Array<Object>} results - Results with update, status and version
+ */
+function printSummary(results) {
+  logger.newline();
+  logger.divider();
+  console.log(chalk.bold('Update summary'));
+
+  for (const { update, status, version } of results) {
+    if (status === 'updated') {
+      logger.success(`${update.name}: ${update.info.current} → ${version || update.info.latest}`);
+    } else if (status === 'manual') {
+      logger.info(`${update.name}: ${update.manual}`);
+    } else if (status === 'unchanged') {
+      logger.warning(`${update.name}: not updated, still ${version || update.info.current} (latest: ${update.info.latest})`);
+    } else {
+      logger.error(`${update.name}: update failed (still ${update.info.current})`);
+    }
+  }
+
+  logger.newline();
+}
+
+/**
+ * Run the update command
+ * @param {Object} options - CLI options
+ * @param {boolean} options.yes - Apply every automatic update without asking
+ * @returns {Promise<number>} Exit code (1 if an update failed or did not
+ *   take effect)
+ */
+async function run(options = {}) {
+  logger.info('Checking for updates...');
+  const updates = await gatherUpdates();
+
+  if (updates.length === 0) {
+    logger.warning('No installed tools found. Run yoblox-setup to install them.');
+    return 0;
+  }
+
+  printTable(updates);
+
+  const available = updates.filter(update => update.info.hasUpdate);
+
+  if (available.length === 0) {
+    logger.success('Everything is up-to-date.');
+    return 0;
+  }
+
+  let selected;
+
+  if (options.yes) {
+    selected = available.filter(update => !update.manual);
+  } else {
+    prompt.setScope('update');
+    try {
+      const ids = await prompt.multiselect(
+        'Which updates do you want to install? (space to select, enter to confirm)',
+        available.map(update => ({
+          name: update.id,
+          message: `${update.name} (${update.info.current} → ${update.info.latest})`
+        })),
+        { key: 'selected' }
+      );
+      selected = available.filter(update => ids.includes(update.id));
+    } finally {
+      prompt.setScope(null);
+    }
+  }
+
+  const results = [];
+
+  for (const update of selected) {
+    logger.newline();
+    logger.info(`Updating ${update.name}...`);
+
+    let success = false;
+    try {
+      success = await update.apply();
+    } catch (error) {
+      logger.error(error.message);
+    }
+
+    if (!success) {
+      results.push({ update, status: 'failed' });
+      continue;
+    }
+
+    // Read the version back to confirm the update took effect (a manual
+    // update only tells us Enter was pressed)
+    const after = await update.check().catch(() => ({}));
+    const changed = Boolean(after.current) && after.current !== update.info.current;
+
+    if (after.hasUpdate || !changed) {
+      results.push({ update, status: 'unchanged', version: after.current });
+      continue;
+    }
+
+    results.push({ update, status: 'updated', version: after.current });
+  }
+
+  // Manual updates that were not applied are still worth mentioning
+  for (const update of available.filter(update => update.manual && !selected.includes(update))) {
+    results.push({ update, status: 'manual' });
+  }
+
+  if (results.length === 0) {
+    logger.info('Nothing selected, no changes made.');
+    return 0;
+  }
+
+  printSummary(results);
+
+  return results.some(result => ['failed', 'unchanged'].includes(result.status)) ? 1 : 0;
+}
+
+module.exports = {
+  run,
+  gatherUpdates
+};
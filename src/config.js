@@ -21,10 +21,31 @@ module.exports = {
   // Rojo server configuration
   ROJO: {
     DEFAULT_PORT: 34872,
-    FALLBACK_PORTS: [34873, 34874, 34875, 34876],
+    DEFAULT_ADDRESS: 'localhost',  // only this machine; 0.0.0.0 serves other machines (and Windows from WSL)
+    PROTOCOL_VERSION: 4,  // protocol spoken by Rojo 7.x and its Studio plugin
+    PORT_SEARCH_RANGE: 20,  // ports after the default tried when it is taken
     STARTUP_TIMEOUT: 15000,  // 15 seconds
     PORT_CHECK_TIMEOUT: 10000,  // 10 seconds
-    HEALTH_CHECK_INTERVAL: 2000  // 2 seconds
+    HEALTH_CHECK_INTERVAL: 2000,  // 2 seconds
+    UNHEALTHY_CHECKS: 3,  // failed health checks in a row before restarting
+    MAX_RESTARTS: 5,  // restarts in a row before giving up
+    RESTART_DELAY: 1000,  // first restart delay, doubled each time (ms)
+    SYNCBACK_VERSION: '7.5.0'  // first Rojo with `rojo syncback`
+  },
+
+  // Place and model files built with `rojo build`
+  BUILD: {
+    DIR: 'build',  // build directory, relative to the project folder
+    SNAPSHOT_DIR: 'snapshots',  // timestamped copies, inside the build directory
+    KEEP_SNAPSHOTS: 10,  // snapshots kept per project file
+    WATCH_INTERVAL: 1000  // how often --watch looks for a rebuilt file (ms)
+  },
+
+  // Output of background processes (logs/<name>.log in the data directory)
+  PROCESS_LOGS: {
+    MAX_SIZE: 1024 * 1024,  // rotate a log file at 1 MB
+    MAX_FILES: 3,  // rotated files to keep (<name>.log.1 ... .3)
+    BUFFER_LINES: 500  // recent lines kept in memory per stream
   },
 
   // Roblox Studio configuration
@@ -52,6 +73,7 @@ module.exports = {
   RUSTUP_INIT_WIN: 'https://static.rust-lang.org/rustup/dist/x86_64-pc-windows-msvc/rustup-init.exe',
   GIT_INSTALLER_WIN: 'https://github.com/git-for-windows/git/releases/download/v2.43.0.windows.1/Git-2.43.0-64-bit.exe',
   VSCODE_INSTALLER_WIN: 'https://code.visualstudio.com/sha/download?build=stable&os=win32-x64-user',
+  ROBLOX_STUDIO_INSTALLER_WIN: 'https://setup.rbxcdn.com/RobloxStudioInstaller.exe',
 
   // VS Code extensions
   VSCODE_EXTENSIONS: [
@@ -151,15 +173,19 @@ module.exports = {
     CARGO_BIN: '$HOME/.cargo/bin'
   },
 
-  // Maximum retries for installs
+  // Maximum retries for installs (default retry policy for every state)
   MAX_RETRIES: 3,
 
+  // Longest delay between retries with exponential backoff (ms)
+  RETRY_MAX_DELAY: 30000, // 30 seconds
+
   // Timeout for command execution (ms)
   COMMAND_TIMEOUT: 600000, // 10 minutes
 
   // Download timeout (ms)
   DOWNLOAD_TIMEOUT: 300000, // 5 minutes
 
-  // State file name
+  // Legacy progress file name (imported from the current directory once;
+  // progress now lives in the per-user data directory)
   STATE_FILE: '.yoblox-setup-state.json'
 };
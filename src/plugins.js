@@ -0,0 +1,256 @@
+/**
+ * Plugin Loader
+ *
+ * Finds plugins in a local directory (--plugins <dir>) and in npm packages
+ * named `yoblox-setup-plugin-*` installed next to the wizard. Packages in
+ * the current folder's node_modules are only loaded with
+ * --project-plugins, since loading a plugin runs its code. It validates the states they add against the
+ * contract StateMachine uses ({name, check, run, verify, cleanup}) and
+ * inserts them at the position each state declares.
+ *
+ * A plugin module exports either a single state, or an object with:
+ *   - name: plugin name (defaults to the file or package name)
+ *   - states: array of states, each optionally declaring
+ *     `position: { before: '<state>' }` or `position: { after: '<state>' }`
+ *   - beforeState(state, context): called before a state runs
+ *   - afterState(state, context, result): called after a state runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StateMachine = require('./statemachine');
+
+const PACKAGE_PREFIX = 'yoblox-setup-plugin-';
+const OPTIONAL_STATE_FUNCTIONS = ['check', 'verify', 'cleanup', 'plan'];
+
+/**
+ * Find plugin modules in a local directory
+ * @param {string} dir - Directory containing plugin files or folders
+ * @returns {Array<Object>} Sources with name and path
+ */
+function findLocalPlugins(dir) {
+  const resolved = path.resolve(dir);
+
+  if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+    throw new Error(`Plugin directory not found: ${resolved}`);
+  }
+
+  return fs.readdirSync(resolved, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.') && !entry.name.startsWith('_'))
+    .filter(entry => entry.isDirectory() || entry.name.endsWith('.js'))
+    .map(entry => ({
+      name: path.basename(entry.name, '.js'),
+      path: path.join(resolved, entry.name)
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Directories searched for yoblox-setup-plugin-* packages: the wizard's
+ * own dependencies, the folder the wizard is installed in (global
+ * installs) and, only when asked for, the current project
+ * @param {boolean} project - Also search the current folder's node_modules
+ * @returns {Array<string>} Existing node_modules directories
+ */
+function getPackageDirs(project) {
+  const dirs = [path.resolve(__dirname, '..', 'node_modules')];
+
+  const installDir = path.resolve(__dirname, '..', '..');
+  if (path.basename(installDir) === 'node_modules') {
+    dirs.push(installDir);
+  }
+
+  if (project) {
+    dirs.push(path.join(process.cwd(), 'node_modules'));
+  }
+
+  return [...new Set(dirs)].filter(dir => fs.existsSync(dir));
+}
+
+/**
+ * Find installed yoblox-setup-plugin-* packages (including scoped ones)
+ * @param {boolean} project - Also search the current folder's node_modules
+ * @returns {Array<Object>} Sources with name and path
+ */
+function findPackagePlugins(project) {
+  const found = new Map();
+
+  for (const dir of getPackageDirs(project)) {
+    for (const entry of fs.readdirSync(dir)) {
+      const candidates = entry.startsWith('@')
+        ? fs.readdirSync(path.join(dir, entry)).map(name => `${entry}/${name}`)
+        : [entry];
+
+      for (const name of candidates) {
+        const baseName = name.split('/').pop();
+        if (baseName.startsWith(PACKAGE_PREFIX) && !found.has(name)) {
+          found.set(name, { name, path: path.join(dir, name) });
+        }
+      }
+    }
+  }
+
+  return [...found.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Check a state added by a plugin against the state contract
+ * @param {Object} state - State module
+ * @param {string} pluginName - Plugin the state came from
+ */
+function validateState(state, pluginName) {
+  if (!state || typeof state !== 'object') {
+    throw new Error(`Plugin ${pluginName}: states must be objects`);
+  }
+
+  if (typeof state.name !== 'string' || !state.name) {
+    throw new Error(`Plugin ${pluginName}: every state needs a name`);
+  }
+
+  if (typeof state.run !== 'function') {
+    throw new Error(`Plugin ${pluginName}: state ${state.name} needs a run() function`);
+  }
+
+  for (const fn of OPTIONAL_STATE_FUNCTIONS) {
+    if (state[fn] !== undefined && typeof state[fn] !== 'function') {
+      throw new Error(`Plugin ${pluginName}: state ${state.name} has a ${fn} that is not a function`);
+    }
+  }
+
+  for (const list of ['requires', 'provides']) {
+    if (state[list] !== undefined &&
+        (!Array.isArray(state[list]) || !state[list].every(key => typeof key === 'string'))) {
+      throw new Error(`Plugin ${pluginName}: state ${state.name} ${list} must be an array of context keys`);
+    }
+  }
+
+  const { position } = state;
+  if (position !== undefined) {
+    const targets = position && typeof position === 'object'
+      ? ['before', 'after'].filter(key => position[key] !== undefined)
+      : [];
+
+    if (targets.length !== 1 || typeof position[targets[0]] !== 'string') {
+      throw new Error(
+        `Plugin ${pluginName}: state ${state.name} position must be { before: '<state>' } or { after: '<state>' }`
+      );
+    }
+  }
+}
+
+/**
+ * Load and validate one plugin module
+ * @param {Object} source - Source with name and path
+ * @returns {Object} Plugin with name, source, states and hooks
+ */
+function loadPlugin(source) {
+  let exported;
+
+  try {
+    exported = require(source.path);
+  } catch (error) {
+    throw new Error(`Could not load plugin ${source.name} (${source.path}): ${error.message}`);
+  }
+
+  // A module exporting a single state is a plugin with one state
+  const isState = exported && typeof exported.run === 'function';
+  const name = (!isState && exported && exported.name) || source.name;
+  const states = isState ? [exported] : (exported && exported.states) || [];
+
+  if (!Array.isArray(states)) {
+    throw new Error(`Plugin ${name}: states must be an array`);
+  }
+
+  states.forEach(state => validateState(state, name));
+
+  const hooks = {};
+  for (const hook of StateMachine.HOOK_NAMES) {
+    if (!isState && exported && exported[hook] !== undefined) {
+      if (typeof exported[hook] !== 'function') {
+        throw new Error(`Plugin ${name}: ${hook} must be a function`);
+      }
+      hooks[hook] = exported[hook].bind(exported);
+    }
+  }
+
+  if (states.length === 0 && Object.keys(hooks).length === 0) {
+    throw new Error(`Plugin ${name} adds no states or hooks`);
+  }
+
+  return { name, source: source.path, states, hooks };
+}
+
+/**
+ * Discover and load plugins
+ * @param {Object} options - Options
+ * @param {string} options.dir - Local plugin directory (optional)
+ * @param {boolean} options.project - Also load packages from the current
+ *   folder's node_modules
+ * @returns {Array<Object>} Loaded plugins
+ */
+function load(options = {}) {
+  const sources = [
+    ...(options.dir ? findLocalPlugins(options.dir) : []),
+    ...findPackagePlugins(options.project)
+  ];
+
+  return sources.map(loadPlugin);
+}
+
+/**
+ * Insert plugin states into the built-in state list at their declared
+ * positions. States without a position go at the end.
+ * @param {Array} states - Built-in states
+ * @param {Array<Object>} plugins - Loaded plugins
+ * @returns {Array} Combined state list
+ */
+function insertStates(states, plugins) {
+  const result = [...states];
+  let pending = plugins.flatMap(plugin => plugin.states.map(state => ({ plugin, state })));
+
+  // Positions may refer to other plugin states, so place states whose
+  // target is already in the list until nothing more can be placed
+  while (pending.length > 0) {
+    const remaining = [];
+
+    for (const item of pending) {
+      const { plugin, state } = item;
+
+      if (result.some(existing => existing.name === state.name)) {
+        throw new Error(`Plugin ${plugin.name}: a state named ${state.name} already exists`);
+      }
+
+      if (!state.position) {
+        result.push(state);
+        continue;
+      }
+
+      const target = state.position.before || state.position.after;
+      const index = result.findIndex(existing => existing.name === target);
+
+      if (index === -1) {
+        remaining.push(item);
+        continue;
+      }
+
+      result.splice(state.position.before ? index : index + 1, 0, state);
+    }
+
+    if (remaining.length === pending.length) {
+      const { plugin, state } = remaining[0];
+      const target = state.position.before || state.position.after;
+      throw new Error(`Plugin ${plugin.name}: state ${state.name} is positioned relative to unknown state ${target}`);
+    }
+
+    pending = remaining;
+  }
+
+  return result;
+}
+
+module.exports = {
+  PACKAGE_PREFIX,
+  load,
+  insertStates,
+  validateState
+};
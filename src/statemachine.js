@@ -2,27 +2,193 @@
  * State Machine
  *
  * Coordinates sequential execution of setup states with support for:
- * - Retries
+ * - Retries (per-state retry policy with backoff)
  * - Skipping
+ * - Verifying states after they run and cleaning up after failures
  * - Progress persistence
  * - Resuming from saved state
+ * - Running a subset of states (--only, --from, --skip)
+ * - Ordering states by the context keys they require and provide
+ * - Planning a run (--plan) from each state's check() and plan() hooks
+ * - beforeState/afterState hooks (used by plugins)
+ * - Going back to the previous state, undoing the context it provided
+ *
+ * The machine is an EventEmitter so front ends other than the terminal
+ * can follow a run. Events:
+ * - stateStart ({ state, attempt, index, total })
+ * - stateSkip ({ state, reason }) - reason is 'not-selected',
+ *   'already-done', 'skipped' or 'retries-exhausted'
+ * - stateRetry ({ state, attempt, maxAttempts, delay })
+ * - stateDone ({ state, result })
+ * - stateFail ({ state, error })
+ * - stateBack ({ state, from }) - going back to `state`
+ * - prompt (question) - a state is asking a question
  */
 
-const fs = require('fs');
-const path = require('path');
+const EventEmitter = require('events');
 const logger = require('./utils/logger');
+const prompt = require('./utils/prompt');
+const progress = require('./utils/progress');
+const config = require('./config');
+
+const BACKOFF_TYPES = ['fixed', 'exponential'];
+const EXHAUSTED_ACTIONS = ['fail', 'skip', 'ask'];
+const HOOK_NAMES = ['beforeState', 'afterState'];
+
+/**
+ * Check whether a context value counts as provided
+ * @param {*} value - Context value
+ * @returns {boolean} True if set
+ */
+function isProvided(value) {
+  return value !== undefined && value !== null;
+}
+
+/**
+ * Record which context keys a state's result changed, so they can be
+ * undone when going back to it
+ * @param {Object} state - State module
+ * @param {Object} contextBefore - Context before the state ran
+ * @param {Object} data - Data the state returned
+ * @returns {Object} History entry with state, previous values and added keys
+ */
+function describeChanges(state, contextBefore, data) {
+  const previous = {};
+  const added = [];
 
-const STATE_FILE = '.yoblox-setup-state.json';
+  for (const key of Object.keys(data)) {
+    if (Object.prototype.hasOwnProperty.call(contextBefore, key)) {
+      previous[key] = contextBefore[key];
+    } else {
+      added.push(key);
+    }
+  }
+
+  return { state: state.name, previous, added };
+}
+
+/**
+ * Order states so every state runs after the states providing the
+ * context keys it requires. States keep their given order unless a
+ * dependency forces them later.
+ * @param {Array} states - Array of state modules
+ * @returns {Array} Ordered state modules
+ */
+function orderStates(states) {
+  const names = new Set();
+  for (const state of states) {
+    if (!state.name || !state.run) {
+      throw new Error('Invalid state: must have name and run function');
+    }
+    if (names.has(state.name)) {
+      throw new Error(`Duplicate state name: ${state.name}`);
+    }
+    names.add(state.name);
+  }
+
+  // Map each context key to the states that provide it
+  const providers = new Map();
+  for (const state of states) {
+    for (const key of state.provides || []) {
+      if (!providers.has(key)) {
+        providers.set(key, []);
+      }
+      providers.get(key).push(state);
+    }
+  }
+
+  // Edges: provider -> requirer
+  const dependencies = new Map(states.map(state => [state, new Set()]));
+  for (const state of states) {
+    for (const key of state.requires || []) {
+      for (const provider of providers.get(key) || []) {
+        if (provider !== state) {
+          dependencies.get(state).add(provider);
+        }
+      }
+    }
+  }
+
+  // Kahn's algorithm, always picking the earliest ready state
+  const ordered = [];
+  const remaining = [...states];
+
+  while (remaining.length > 0) {
+    const index = remaining.findIndex(state =>
+      [...dependencies.get(state)].every(dep => ordered.includes(dep))
+    );
+
+    if (index === -1) {
+      const cycle = remaining.map(state => state.name).join(', ');
+      throw new Error(`States have circular requirements: ${cycle}`);
+    }
 
-class StateMachine {
+    ordered.push(remaining.splice(index, 1)[0]);
+  }
+
+  return ordered;
+}
+
+/**
+ * Get the retry policy for a state, filling in defaults
+ * @param {Object} state - State module (may declare `retry`)
+ * @returns {Object} Policy with maxAttempts, delay, backoff and onExhausted
+ */
+function getRetryPolicy(state) {
+  const policy = {
+    maxAttempts: config.MAX_RETRIES + 1,
+    delay: 0,
+    backoff: 'fixed',
+    onExhausted: 'ask',
+    ...state.retry
+  };
+
+  if (!BACKOFF_TYPES.includes(policy.backoff)) {
+    throw new Error(`State ${state.name} has invalid retry backoff: ${policy.backoff}`);
+  }
+
+  if (!EXHAUSTED_ACTIONS.includes(policy.onExhausted)) {
+    throw new Error(`State ${state.name} has invalid retry onExhausted: ${policy.onExhausted}`);
+  }
+
+  return policy;
+}
+
+/**
+ * Get the delay before the next attempt
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(policy, attempt) {
+  if (policy.backoff === 'exponential') {
+    return Math.min(policy.delay * Math.pow(2, attempt - 1), config.RETRY_MAX_DELAY);
+  }
+
+  return policy.delay;
+}
+
+class StateMachine extends EventEmitter {
   /**
    * Create a new state machine
-   * @param {Array} states - Array of state modules
+   * @param {Array} states - Array of state modules (each may declare
+   *   `requires` and `provides` arrays of context keys)
    * @param {Object} options - Options
    * @param {boolean} options.reset - Ignore saved progress and start fresh
+   * @param {string} options.session - Name of the saved progress session
+   * @param {Array<string>} options.only - Run only these states
+   * @param {string} options.from - Start from this state
+   * @param {Array<string>} options.skip - Never run these states
+   * @param {Function} options.promptHandler - Answers questions instead of
+   *   the terminal during run() (see prompt.setHandler)
+   * @param {Function} options.logSink - Receives log output instead of the
+   *   terminal during run() (see logger.setSink)
+   * @param {Object} options.context - Context values set from the command
+   *   line; they override saved progress
    */
   constructor(states, options = {}) {
-    this.states = states;
+    super();
+    this.states = orderStates(states);
     this.options = options;
     this.context = {
       installedTools: {},
@@ -32,6 +198,47 @@ class StateMachine {
     };
     this.currentStateIndex = 0;
     this.completedStates = [];
+
+    // States whose run() was invoked this session (for cleanup)
+    this.executedStates = [];
+
+    // Attempts made at each state (saved with progress)
+    this.attempts = {};
+
+    // Functions called around every state run
+    this.hooks = { beforeState: [], afterState: [] };
+
+    // Context changes made by each completed state, most recent last,
+    // so going back can undo them
+    this.history = [];
+
+    // State to run even if check() allows skipping (after going back)
+    this.forceState = null;
+  }
+
+  /**
+   * Register a hook called around every state run
+   * @param {string} name - 'beforeState' (state, context) or
+   *   'afterState' (state, context, result)
+   * @param {Function} fn - Hook function (may be async)
+   */
+  addHook(name, fn) {
+    if (!HOOK_NAMES.includes(name)) {
+      throw new Error(`Unknown hook: ${name}. Available hooks: ${HOOK_NAMES.join(', ')}`);
+    }
+
+    this.hooks[name].push(fn);
+  }
+
+  /**
+   * Call every hook registered under a name
+   * @param {string} name - Hook name
+   * @param {...*} args - Arguments passed to each hook
+   */
+  async runHooks(name, ...args) {
+    for (const fn of this.hooks[name]) {
+      await fn(...args);
+    }
   }
 
   /**
@@ -40,14 +247,9 @@ class StateMachine {
    */
   loadProgress() {
     try {
-      if (!fs.existsSync(STATE_FILE)) {
-        return null;
-      }
-
-      const data = fs.readFileSync(STATE_FILE, 'utf8');
-      return JSON.parse(data);
+      return progress.load(this.getSession());
     } catch (error) {
-      logger.warning('Could not load saved progress. Starting fresh.');
+      logger.warning(`Could not load saved progress (${error.message}). Starting fresh.`);
       return null;
     }
   }
@@ -57,15 +259,13 @@ class StateMachine {
    */
   saveProgress() {
     try {
-      const state = {
-        version: '1.0.0',
-        timestamp: new Date().toISOString(),
-        currentStateIndex: this.currentStateIndex,
+      progress.save({
+        currentState: this.states[this.getResumeIndex()]?.name || null,
         completedStates: this.completedStates,
+        attempts: this.attempts,
+        history: this.history,
         context: this.context
-      };
-
-      fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+      }, this.getSession());
     } catch (error) {
       logger.warning('Could not save progress.');
     }
@@ -76,9 +276,7 @@ class StateMachine {
    */
   clearProgress() {
     try {
-      if (fs.existsSync(STATE_FILE)) {
-        fs.unlinkSync(STATE_FILE);
-      }
+      progress.clear(this.getSession());
     } catch (error) {
       // Ignore errors
     }
@@ -89,25 +287,150 @@ class StateMachine {
    * @param {Object} saved - Saved state
    */
   restoreProgress(saved) {
-    this.currentStateIndex = saved.currentStateIndex || 0;
     this.completedStates = saved.completedStates || [];
+    this.attempts = saved.attempts || {};
+    this.history = saved.history || [];
     this.context = saved.context || this.context;
 
-    logger.info(`Resuming from state: ${this.states[this.currentStateIndex]?.name || 'unknown'}`);
+    // Progress stores the state name, so added or reordered states don't
+    // shift the resume point; fall back to the first incomplete state
+    const savedIndex = this.states.findIndex(state => state.name === saved.currentState);
+    this.currentStateIndex = savedIndex !== -1 ? savedIndex : this.getResumeIndex();
+
+    if (!this.hasSelection()) {
+      logger.info(`Resuming from state: ${this.states[this.currentStateIndex]?.name || 'unknown'}`);
+    }
+  }
+
+  /**
+   * Get the saved progress session name
+   * @returns {string} Session name
+   */
+  getSession() {
+    return this.options.session || progress.DEFAULT_SESSION;
+  }
+
+  /**
+   * Index of the first state (in run order) that has not completed yet.
+   * This is where a full run resumes, even after partial --only runs.
+   * @returns {number} State index
+   */
+  getResumeIndex() {
+    const index = this.states.findIndex(state => !this.completedStates.includes(state.name));
+    return index === -1 ? this.states.length : index;
+  }
+
+  /**
+   * Whether --only, --from or --skip narrowed down the states to run
+   * @returns {boolean} True if running a subset
+   */
+  hasSelection() {
+    const { only, from, skip } = this.options;
+    return Boolean((only && only.length) || from || (skip && skip.length));
+  }
+
+  /**
+   * Make sure --only, --from and --skip name real states
+   */
+  validateSelection() {
+    const known = this.states.map(state => state.name);
+    const { only, from, skip } = this.options;
+    const unknown = [...(only || []), ...(from ? [from] : []), ...(skip || [])].filter(name => !known.includes(name));
+
+    if (unknown.length > 0) {
+      throw new Error(`Unknown state(s): ${unknown.join(', ')}. Available states: ${known.join(', ')}`);
+    }
+  }
+
+  /**
+   * Whether a state is part of this run
+   * @param {Object} state - State module
+   * @returns {boolean} True if the state should run
+   */
+  isSelected(state) {
+    const { only, from, skip } = this.options;
+
+    if (skip && skip.includes(state.name)) {
+      return false;
+    }
+
+    if (only && only.length && !only.includes(state.name)) {
+      return false;
+    }
+
+    if (from && this.states.indexOf(state) < this.states.findIndex(s => s.name === from)) {
+      return false;
+    }
+
+    return true;
   }
 
   /**
    * Run the state machine
    */
   async run() {
+    const detach = this.attach();
+
+    try {
+      await this.runStates();
+    } finally {
+      detach();
+    }
+  }
+
+  /**
+   * Route prompts and logging for this run: install the injected prompt
+   * handler and log sink, and emit 'prompt' for every question
+   * @returns {Function} Restores the previous prompt handler and sink
+   */
+  attach() {
+    const previousHandler = prompt.getHandler();
+    const previousSink = logger.getSink();
+
+    if (this.options.promptHandler) {
+      prompt.setHandler(this.options.promptHandler);
+    }
+
+    if (this.options.logSink) {
+      logger.setSink(this.options.logSink);
+    }
+
+    const unsubscribe = prompt.onQuestion(question => this.emit('prompt', question));
+
+    return () => {
+      unsubscribe();
+
+      if (this.options.promptHandler) {
+        prompt.setHandler(previousHandler);
+      }
+
+      if (this.options.logSink) {
+        logger.setSink(previousSink);
+      }
+    };
+  }
+
+  /**
+   * Execute the selected states in order
+   */
+  async runStates() {
+    const selecting = this.hasSelection();
+    if (selecting) {
+      this.validateSelection();
+    }
+
     // Handle saved progress
     if (!this.options.reset) {
       const saved = this.loadProgress();
-      if (saved) {
-        const prompt = require('./utils/prompt');
+      if (selecting && saved) {
+        // Running a subset: reuse the saved context without asking
+        this.restoreProgress(saved);
+        logger.info('Using context from previous setup progress.');
+      } else if (saved) {
         const shouldResume = await prompt.confirm(
           'Found previous setup progress. Resume from where you left off?',
-          true
+          true,
+          { key: 'resume' }
         );
 
         if (shouldResume) {
@@ -120,70 +443,444 @@ class StateMachine {
       this.clearProgress();
     }
 
+    if (this.options.context) {
+      this.context = { ...this.context, ...this.options.context };
+    }
+
+    // A subset run walks the whole order and runs only selected states
+    if (selecting) {
+      this.currentStateIndex = 0;
+      const names = this.states.filter(state => this.isSelected(state)).map(state => state.name);
+      logger.info(`Running: ${names.join(', ')}`);
+    }
+
     // Execute states sequentially
+    let attempt = 0;
+    let attemptIndex = -1;
+    let contextBefore = this.context;
+
     while (this.currentStateIndex < this.states.length) {
       const state = this.states[this.currentStateIndex];
 
+      if (!this.isSelected(state)) {
+        this.emit('stateSkip', { state: state.name, reason: 'not-selected' });
+        this.currentStateIndex++;
+        continue;
+      }
+
+      // Count attempts from 1 each time we arrive at a new state
+      if (attemptIndex !== this.currentStateIndex) {
+        attempt = 0;
+        attemptIndex = this.currentStateIndex;
+        contextBefore = this.context;
+      }
+      attempt++;
+      this.attempts[state.name] = attempt;
+
+      this.emit('stateStart', {
+        state: state.name,
+        attempt,
+        index: this.currentStateIndex,
+        total: this.states.length
+      });
+
       try {
-        const result = await this.executeState(state);
+        // States named with --only (or gone back to) run even if check()
+        // says they can be skipped
+        const force = Boolean(this.options.only && this.options.only.includes(state.name)) ||
+          this.forceState === state.name;
+        const result = await this.executeState(state, { force });
+        this.forceState = null;
+
+        if (result.back) {
+          if (this.canGoBack()) {
+            await this.goBack(state);
+            attemptIndex = -1;
+          } else {
+            logger.warning('There is no previous step to go back to.');
+          }
+          continue;
+        }
 
         if (result.success) {
+          if (!result.skip) {
+            this.emit('stateDone', { state: state.name, result });
+          }
+
           // Mark state as completed
           if (!this.completedStates.includes(state.name)) {
             this.completedStates.push(state.name);
           }
 
+          if (!result.skip && result.data) {
+            this.history.push(describeChanges(state, contextBefore, result.data));
+          }
+
           // Save progress after each successful state
           this.saveProgress();
 
           // Move to next state
           this.currentStateIndex++;
         } else if (result.retry) {
-          // Retry the same state
-          logger.info('Retrying...\n');
+          // Retry the same state, as far as its retry policy allows
+          const action = await this.handleRetry(state, attempt);
+
+          if (action === 'skip') {
+            this.emit('stateSkip', { state: state.name, reason: 'retries-exhausted' });
+            logger.warning(`Skipping ${state.name}. Later steps that need it may fail.`);
+            this.currentStateIndex++;
+          } else if (action === 'fail') {
+            throw new Error(`State ${state.name} failed after ${attempt} attempts`);
+          } else if (attempt >= getRetryPolicy(state).maxAttempts) {
+            // User chose to keep trying - start a fresh round of attempts
+            attempt = 0;
+          }
           continue;
         } else {
           // Fatal error
           throw new Error(`State ${state.name} failed`);
         }
       } catch (error) {
+        this.emit('stateFail', { state: state.name, error });
         logger.error(`Error in state ${state.name}:`);
+        await this.cleanup();
         throw error;
       }
     }
 
-    // Clear progress file on successful completion
-    this.clearProgress();
+    // Clear progress file on successful completion of a full run; a
+    // subset run keeps it so the remaining states can still be resumed
+    if (!selecting) {
+      this.clearProgress();
+    }
+  }
+
+  /**
+   * Describe what a run would do without running any state. Every
+   * selected state's check() is called and, unless it would be skipped,
+   * its plan(context, checkResult) hook lists the actions run() may take.
+   * Saved progress is ignored, so the plan describes a fresh run.
+   * @returns {Promise<Array<Object>>} One entry per state with name,
+   *   status ('run', 'skip' or 'not-selected'), check result and actions
+   */
+  async plan() {
+    if (this.hasSelection()) {
+      this.validateSelection();
+    }
+
+    if (this.options.context) {
+      this.context = { ...this.context, ...this.options.context };
+    }
+
+    const steps = [];
+
+    for (const state of this.states) {
+      if (!this.isSelected(state)) {
+        steps.push({ state: state.name, status: 'not-selected', check: null, actions: [] });
+        continue;
+      }
+
+      let checkResult = { found: false, canSkip: false };
+      if (state.check) {
+        try {
+          checkResult = await state.check(this.context);
+        } catch (error) {
+          checkResult = { found: false, canSkip: false, error: error.message };
+        }
+      }
+
+      const force = Boolean(this.options.only && this.options.only.includes(state.name));
+      if (checkResult.found && checkResult.canSkip && !force) {
+        steps.push({ state: state.name, status: 'skip', check: checkResult, actions: [] });
+        continue;
+      }
+
+      const actions = state.plan ? await state.plan(this.context, checkResult) : [];
+      steps.push({ state: state.name, status: 'run', check: checkResult, actions });
+    }
+
+    return steps;
   }
 
   /**
    * Execute a single state
    * @param {Object} state - State module
+   * @param {Object} options - Options
+   * @param {boolean} options.force - Run even if check() allows skipping
    * @returns {Object} Result with success/retry/skip flags
    */
-  async executeState(state) {
+  async executeState(state, options = {}) {
     if (!state.name || !state.run) {
       throw new Error('Invalid state: must have name and run function');
     }
 
+    this.checkRequirements(state);
+
     // Check if state can be skipped
-    if (state.check) {
+    if (state.check && !options.force) {
       const checkResult = await state.check(this.context);
       if (checkResult.found && checkResult.canSkip) {
         logger.info(`Skipping ${state.name} (already completed)`);
+        this.emit('stateSkip', { state: state.name, reason: 'already-done' });
+
+        // A state skipped by its check still provides its keys through check data
+        if (checkResult.data) {
+          this.context = { ...this.context, ...checkResult.data };
+        }
         return { success: true, skip: true };
       }
     }
 
-    // Run the state
-    const result = await state.run(this.context);
+    // Run the state (questions it asks are keyed under its name and
+    // offer going back when there is a step to go back to)
+    prompt.setScope(state.name);
+    prompt.setBackEnabled(this.canGoBack());
+
+    if (!this.executedStates.includes(state)) {
+      this.executedStates.push(state);
+    }
+
+    try {
+      await this.runHooks('beforeState', state, this.getContext());
+
+      let result;
+      try {
+        result = await state.run(this.context);
+      } catch (error) {
+        if (prompt.isGoBack(error)) {
+          return { success: false, back: true };
+        }
+        throw error;
+      }
+
+      // Update context if state returned data
+      if (result.data) {
+        this.context = { ...this.context, ...result.data };
+      }
+
+      if (result.success && !result.skip) {
+        result = await this.verifyState(state, result);
+      }
+
+      await this.runHooks('afterState', state, this.getContext(), result);
+
+      if (result.success && result.skip) {
+        this.emit('stateSkip', { state: state.name, reason: 'skipped' });
+      }
+
+      return result;
+    } finally {
+      prompt.setScope(null);
+      prompt.setBackEnabled(false);
+    }
+  }
+
+  /**
+   * Whether there is a completed state to go back to
+   * @returns {boolean} True if the most recent completed state can run again
+   */
+  canGoBack() {
+    const last = this.history[this.history.length - 1];
+    const state = last && this.states.find(s => s.name === last.state);
+    return Boolean(state) && this.isSelected(state);
+  }
+
+  /**
+   * Go back to a completed state: the most recent one, or an earlier one
+   * the user picks. States gone back over optionally run cleanup(), the
+   * context keys they provided are undone, and the chosen state runs next.
+   * @param {Object} fromState - State the user went back from
+   */
+  async goBack(fromState) {
+    prompt.setScope(fromState.name);
+
+    let target = this.history[this.history.length - 1].state;
+    let undo = false;
+
+    try {
+      const choices = this.history
+        .filter(entry => {
+          const state = this.states.find(s => s.name === entry.state);
+          return state && this.isSelected(state);
+        })
+        .reverse()
+        .map(entry => ({ name: entry.state, message: entry.state }));
+
+      if (choices.length > 1) {
+        target = await prompt.select('Go back to which step?', choices, { key: 'go-back-to' });
+      }
+
+      // Undo in reverse order, up to and including the target
+      const targetIndex = this.history.map(entry => entry.state).lastIndexOf(target);
+      const undone = this.history.splice(targetIndex).reverse();
+      const withCleanup = undone
+        .map(entry => this.states.find(state => state.name === entry.state))
+        .filter(state => state && state.cleanup);
+
+      if (withCleanup.length > 0) {
+        undo = await prompt.confirm(
+          `Also undo what ${withCleanup.map(state => state.name).join(', ')} set up before running again?`,
+          true,
+          { key: 'cleanup-before-rerun' }
+        );
+      }
+
+      for (const entry of undone) {
+        const state = this.states.find(s => s.name === entry.state);
+
+        if (undo && state && state.cleanup) {
+          try {
+            await state.cleanup(this.context);
+          } catch (error) {
+            logger.warning(`Cleanup of ${state.name} failed: ${error.message}`);
+          }
+        }
+
+        const context = { ...this.context, ...entry.previous };
+        for (const key of entry.added) {
+          delete context[key];
+        }
+        this.context = context;
+
+        this.completedStates = this.completedStates.filter(name => name !== entry.state);
+      }
+    } finally {
+      prompt.setScope(null);
+    }
+
+    logger.newline();
+    logger.info(`Going back to ${target}...`);
+
+    this.currentStateIndex = this.states.findIndex(state => state.name === target);
+    this.forceState = target;
 
-    // Update context if state returned data
-    if (result.data) {
-      this.context = { ...this.context, ...result.data };
+    this.emit('stateBack', { state: target, from: fromState.name });
+    this.saveProgress();
+  }
+
+  /**
+   * Decide what happens after a state asks to be retried
+   * @param {Object} state - State module
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {Promise<string>} 'retry', 'skip' or 'fail'
+   */
+  async handleRetry(state, attempt) {
+    const policy = getRetryPolicy(state);
+
+    // Keep the attempt count even if the wizard is closed now
+    this.saveProgress();
+
+    if (attempt < policy.maxAttempts) {
+      const delay = getRetryDelay(policy, attempt);
+      const wait = delay > 0 ? ` in ${Math.ceil(delay / 1000)}s` : '';
+
+      logger.info(`Retrying ${state.name} (attempt ${attempt + 1} of ${policy.maxAttempts})${wait}...\n`);
+      this.emit('stateRetry', { state: state.name, attempt: attempt + 1, maxAttempts: policy.maxAttempts, delay });
+
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+
+      return 'retry';
     }
 
-    return result;
+    logger.warning(`${state.name} did not succeed after ${attempt} attempts.`);
+
+    if (policy.onExhausted !== 'ask') {
+      return policy.onExhausted;
+    }
+
+    prompt.setScope(state.name);
+
+    let action;
+    try {
+      action = await prompt.select('What would you like to do?', [
+        { name: 'retry', message: 'Keep trying' },
+        { name: 'skip', message: 'Skip this step' },
+        { name: 'fail', message: 'Stop setup' }
+      ], { key: 'retries-exhausted' });
+    } finally {
+      prompt.setScope(null);
+    }
+
+    if (action === 'retry') {
+      this.emit('stateRetry', { state: state.name, attempt: 1, maxAttempts: policy.maxAttempts, delay: 0 });
+    }
+
+    return action;
+  }
+
+  /**
+   * Run a state's verify() hook after a successful run
+   * @param {Object} state - State module
+   * @param {Object} result - Result from run()
+   * @returns {Promise<Object>} The run result, or a failed result if
+   *   verification reported issues
+   */
+  async verifyState(state, result) {
+    if (!state.verify) {
+      return result;
+    }
+
+    const verification = await state.verify(this.context);
+
+    if (!verification || verification.verified) {
+      return result;
+    }
+
+    const issues = verification.issues || [];
+
+    logger.newline();
+    logger.warning(`Could not verify ${state.name}:`);
+    logger.list(issues.length > 0 ? issues : ['Verification failed']);
+    logger.newline();
+
+    const retry = await prompt.confirm('Retry this step?', true, { key: 'retry-verification' });
+
+    return { success: false, retry, issues };
+  }
+
+  /**
+   * Call cleanup() on every state that ran this session, most recent first.
+   * Used when a state fails fatally or the user aborts.
+   */
+  async cleanup() {
+    const states = [...this.executedStates].reverse();
+    this.executedStates = [];
+
+    for (const state of states) {
+      if (!state.cleanup) {
+        continue;
+      }
+
+      try {
+        await state.cleanup(this.context);
+      } catch (error) {
+        logger.warning(`Cleanup of ${state.name} failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Make sure every context key a state requires has been provided
+   * @param {Object} state - State module
+   */
+  checkRequirements(state) {
+    const missing = (state.requires || []).filter(key => !isProvided(this.context[key]));
+
+    if (missing.length === 0) {
+      return;
+    }
+
+    const providers = this.states
+      .filter(other => (other.provides || []).some(key => missing.includes(key)))
+      .map(other => other.name);
+
+    const hint = providers.length > 0
+      ? ` Complete ${providers.join(', ')} first.`
+      : ' No state provides it.';
+
+    throw new Error(`State ${state.name} cannot run: missing ${missing.join(', ')}.${hint}`);
   }
 
   /**
@@ -195,4 +892,7 @@ class StateMachine {
   }
 }
 
+StateMachine.orderStates = orderStates;
+StateMachine.HOOK_NAMES = HOOK_NAMES;
+
 module.exports = StateMachine;
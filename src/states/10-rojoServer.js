@@ -2,246 +2,906 @@
  * Rojo Server State
  *
  * Automatically starts the Rojo server in the background and verifies
- * it's listening on the correct port. Falls back to alternative ports
- * if there are conflicts.
+ * it's listening on the correct port.
+ *
+ * When something else holds the default port, the state finds out which
+ * process it is. A leftover `rojo serve` for this project can be reused
+ * and anything else can be stopped. Another port is only used if the user
+ * agrees, because the Studio plugin connects to the default port by habit.
+ *
+ * The server is detached, so it keeps running after setup finishes. A
+ * server left running by an earlier run (or `yoblox-setup serve`) for
+ * the same project is reused instead of starting a second one.
+ *
+ * Once listening, the server's /api/rojo info must show the scaffolded
+ * project, so a different Rojo server on the port is not taken for ours.
+ *
+ * Readiness is taken from the server's output ("Rojo server listening"),
+ * so a server that dies on startup is noticed at once. Known failures
+ * (invalid project JSON, a missing $path folder, an unsupported project
+ * format, the port in use) get a specific fix and an action, such as
+ * opening default.project.json at the line Rojo reported.
+ *
+ * A project with several *.project.json files (a test place, a lobby and
+ * a game, ...) asks which ones to serve. Each gets its own server, named
+ * after the file, on its own port; default.project.json (or the first
+ * chosen file) gets the default port. The choice is kept in context
+ * (rojoProjectFiles) and the servers in rojoServers.
+ *
+ * The server listens on localhost unless another address is chosen with
+ * --address (kept as rojoAddress). In WSL the state asks where Studio
+ * runs, since Studio on Windows needs 0.0.0.0. For any address other than
+ * localhost every way to reach the server is checked, and the host:port
+ * to type into the Studio plugin is printed (kept as rojoHost).
+ *
+ * For the rest of the run the server is supervised: if it crashes (for
+ * example on a broken default.project.json) the reason is shown and it is
+ * restarted on the same port.
  */
 
 const logger = require('../utils/logger');
-const process = require('../utils/process');
+const rojoServer = require('../utils/rojoServer');
+const rojoApi = require('../utils/rojoApi');
 const network = require('../utils/network');
+const system = require('../utils/system');
+const processManager = require('../utils/process');
+const rojoErrors = require('../utils/rojoErrors');
+const installer = require('../utils/installer');
 const prompt = require('../utils/prompt');
 const path = require('path');
 const config = require('../config');
 
 // Rojo server configuration
-const DEFAULT_PORT = 34872;
-const FALLBACK_PORTS = [34873, 34874, 34875, 34876];
-const STARTUP_TIMEOUT = 15000;
-const PORT_CHECK_TIMEOUT = 10000;
+const { DEFAULT_PORT, DEFAULT_ADDRESS } = config.ROJO;
 
-module.exports = {
-  name: 'rojoServer',
-  order: 10,
+// Lines of server output shown when it fails to start
+const OUTPUT_LINES = 20;
 
-  async check(context) {
-    // Check if Rojo server is already running
-    if (context.rojoPort && process.isRunning('rojo-server')) {
-      return { found: true, canSkip: true };
+// Supervisors of the servers started (or reused) by this run, by name
+const supervisors = new Map();
+
+/**
+ * Supervise a server for the rest of the run, reporting crashes and
+ * restarts as they happen
+ * @param {Object} server - Server record
+ */
+function superviseServer(server) {
+  const projectFile = server.projectFile || rojoServer.DEFAULT_PROJECT_FILE;
+  const name = rojoServer.getServerName(projectFile);
+  const label = projectFile === rojoServer.DEFAULT_PROJECT_FILE ? 'Rojo server' : `Rojo server for ${projectFile}`;
+
+  if (supervisors.has(name)) {
+    supervisors.get(name).stop();
+  }
+
+  const supervisor = rojoServer.supervise(server);
+  supervisors.set(name, supervisor);
+
+  supervisor.on('crash', ({ reason }) => {
+    logger.newline();
+    logger.warning(`${label} crashed: ${reason}`);
+  });
+
+  supervisor.on('status', ({ status, previous, reason, delay }) => {
+    if (status === 'restarting') {
+      logger.info(`Restarting ${label} in ${Math.round(delay / 1000)}s...`);
+    } else if (status === 'running' && previous === 'restarting') {
+      logger.success(`✓ ${label} restarted on port ${server.port}`);
+    } else if (status === 'failed') {
+      logger.error(`${label} keeps crashing and was not restarted again. ${reason}`);
+      logger.info(`Fix the problem, then start it with: yoblox-setup serve ${projectFile}`);
+    } else if (status === 'stopped' && reason) {
+      logger.newline();
+      logger.info(`${label} was stopped outside the wizard, so it is not restarted.`);
     }
-    return { found: false, canSkip: false };
-  },
+  });
 
-  async verify(context) {
-    // Verify Rojo server is running and port is open
-    if (!context.rojoPort) {
-      return { verified: false, issues: ['No Rojo port configured'] };
+  supervisor.watch();
+}
+
+/**
+ * Stop supervising all servers (they keep running)
+ */
+function stopSupervising() {
+  for (const supervisor of supervisors.values()) {
+    supervisor.stop();
+  }
+  supervisors.clear();
+}
+
+/**
+ * Print what the Rojo API reports about the server
+ * @param {Object} serverCheck - Result of rojoApi.checkServer()
+ */
+function showServerInfo(serverCheck) {
+  const { info } = serverCheck;
+
+  logger.info(`  • Rojo ${info.serverVersion} (protocol ${info.protocolVersion})`);
+  logger.info(`  • Project: ${info.projectName}`);
+  logger.info(`  • Session: ${info.sessionId}`);
+
+  for (const issue of serverCheck.issues) {
+    logger.warning(issue);
+  }
+}
+
+/**
+ * Explain why a server failed to start and offer to fix it: known
+ * failures get a specific fix and action, anything else the raw output
+ * @param {string} projectPath - Project folder
+ * @param {string} projectFile - Project file the server was serving
+ * @returns {Promise<Object>} State result
+ */
+async function handleStartupFailure(projectPath, projectFile) {
+  const output = rojoServer.getOutput(OUTPUT_LINES, projectFile);
+  const diagnosis = rojoErrors.diagnose(output, projectPath, projectFile);
+
+  await rojoServer.stop(projectFile);
+
+  if (!diagnosis) {
+    if (output) {
+      logger.info('Server output:');
+      logger.info(output);
+      logger.newline();
     }
 
-    const running = process.isRunning('rojo-server');
-    const portOpen = await network.isPortOpen(context.rojoPort);
+    const retry = await prompt.confirm('Try again?', true, { key: 'retry-startup' });
+    return { success: false, retry };
+  }
+
+  const location = diagnosis.line
+    ? `${diagnosis.file}:${diagnosis.line}:${diagnosis.column}`
+    : diagnosis.file;
 
-    if (!running) {
-      return { verified: false, issues: ['Rojo server process not running'] };
+  logger.error(diagnosis.title);
+  if (diagnosis.action === 'open-file') {
+    logger.info(`  • File: ${location}`);
+  }
+  logger.newline();
+
+  logger.info('How to fix it:');
+  logger.list(diagnosis.fixes);
+  logger.newline();
+
+  logger.info(`Full server output: yoblox-setup logs ${rojoServer.getServerName(projectFile)}`);
+  logger.newline();
+
+  if (diagnosis.action === 'open-file') {
+    const where = diagnosis.line ? ` at line ${diagnosis.line}` : '';
+    const shouldOpen = await prompt.confirm(
+      `Open ${path.basename(diagnosis.file)} in VS Code${where}?`,
+      true,
+      { key: 'open-project-file' }
+    );
+
+    if (shouldOpen) {
+      const result = await installer.runCommand(config.WINDOWS.VSCODE_COMMAND, ['-g', `"${location}"`], {
+        stdio: 'ignore'
+      });
+
+      if (!result.success) {
+        logger.warning('Could not open VS Code automatically.');
+        logger.info(`Open it yourself: ${location}`);
+      }
     }
 
-    if (!portOpen) {
-      return { verified: false, issues: [`Port ${context.rojoPort} not listening`] };
+    logger.info('Fix and save the file, then try again.');
+  } else if (diagnosis.action === 'update') {
+    logger.info('Run yoblox-setup update in another terminal, then try again.');
+  } else if (diagnosis.action === 'free-port') {
+    logger.info('Trying again finds out which program holds the port and offers to stop it.');
+  }
+  logger.newline();
+
+  const retry = await prompt.confirm('Try again?', true, { key: 'retry-after-fix' });
+  return { success: false, retry };
+}
+
+/**
+ * Keep using a server that is running for this project: supervise it and
+ * describe it for the context
+ * @param {Object} server - Server record
+ * @param {Object} serverCheck - Result of rojoApi.checkServer()
+ * @returns {Object} Server entry for context.rojoServers
+ */
+function useServer(server, serverCheck) {
+  showServerInfo(serverCheck);
+  logger.newline();
+
+  superviseServer(server);
+
+  const address = server.address || DEFAULT_ADDRESS;
+  const host = rojoServer.getLocalHost(address);
+
+  return {
+    projectFile: server.projectFile || rojoServer.DEFAULT_PROJECT_FILE,
+    name: rojoServer.getServerName(server.projectFile),
+    pid: server.pid,
+    port: server.port,
+    address,
+    host,
+    url: `http://${host}:${server.port}`,
+    sessionId: serverCheck.info.sessionId
+  };
+}
+
+/**
+ * Work out the address the servers listen on: --address (or an earlier
+ * choice), else a question in WSL, else localhost
+ * @param {Object} context - Wizard context
+ * @returns {Promise<string>} Address to listen on
+ */
+async function chooseAddress(context) {
+  const lanAddresses = network.getLanAddresses();
+
+  if (context.rojoAddress) {
+    if (network.isLocalAddress(context.rojoAddress)) {
+      return context.rojoAddress;
     }
 
-    return { verified: true, issues: [] };
-  },
+    logger.warning(`${context.rojoAddress} is not an address of this machine, so Rojo cannot listen on it.`);
+    if (lanAddresses.length > 0) {
+      logger.info(`Addresses of this machine: ${lanAddresses.map(entry => entry.address).join(', ')} (or 0.0.0.0 for all of them)`);
+    }
+    logger.info('Listening on localhost instead.');
+    logger.newline();
+    return DEFAULT_ADDRESS;
+  }
 
-  async cleanup(context) {
-    // Stop Rojo server if running
-    if (process.isRunning('rojo-server')) {
-      logger.info('Stopping Rojo server...');
-      await process.stop('rojo-server');
+  if (!system.isWSL()) {
+    return DEFAULT_ADDRESS;
+  }
+
+  logger.info('You are running in WSL (Windows Subsystem for Linux).');
+  logger.info('Roblox Studio runs on Windows, which reaches WSL over a virtual network.');
+  logger.info('For that, the Rojo server has to listen on all networks (0.0.0.0) instead of only localhost.');
+  logger.newline();
+
+  const address = await prompt.select('Where will Roblox Studio connect from?', [
+    { name: '0.0.0.0', message: 'Windows (listen on all networks)' },
+    { name: DEFAULT_ADDRESS, message: 'Only this Linux system (localhost)' }
+  ], { key: 'rojo-address' });
+
+  logger.newline();
+  return address;
+}
+
+/**
+ * Check every host the Studio plugin could reach a server on and pick the
+ * one to type into the plugin
+ * @param {Object} server - Server entry from useServer()
+ * @returns {Promise<string>} Host to connect Studio to
+ */
+async function checkReachability(server) {
+  const hosts = rojoServer.getConnectHosts(server.address);
+
+  // localhost was already checked by starting the server
+  if (rojoServer.isLoopback(server.address)) {
+    return server.host;
+  }
+
+  logger.info(`Checking where the Rojo server can be reached (listening on ${server.address})...`);
+
+  let studioHost = null;
+
+  for (const entry of hosts) {
+    const response = await rojoApi.getInfo(server.port, { host: entry.host, timeout: 2000 });
+
+    if (response.success) {
+      logger.success(`✓ ${entry.host}:${server.port} - ${entry.label}`);
+
+      // From WSL, Windows reaches the server on localhost; elsewhere
+      // Studio on another machine needs a network address
+      if (!studioHost && (!entry.local || system.isWSL())) {
+        studioHost = entry.host;
+      }
+    } else {
+      logger.warning(`✗ ${entry.host}:${server.port} - ${entry.label} (${response.error})`);
     }
-  },
+  }
 
-  async run(context) {
-    logger.header('Start Rojo Server', 10, 13);
+  logger.newline();
+  logger.info('These checks run on this machine, so a firewall can still block other machines.');
+  logger.info(`If Studio cannot connect, allow incoming connections on TCP port ${server.port} in the firewall.`);
+  if (system.isWSL()) {
+    logger.info('If Windows cannot reach localhost, use the WSL network address instead.');
+  }
+  logger.newline();
 
-    logger.info('Now we will start the Rojo server in the background.');
-    logger.info('This server syncs your code from VS Code to Roblox Studio in real-time.');
+  return studioHost || server.host;
+}
+
+/**
+ * Ask which project files to serve when the project has more than one
+ * @param {string} projectPath - Project folder
+ * @param {Array<string>} previous - Files chosen in an earlier run (optional)
+ * @returns {Promise<Array<string>>} Chosen project files, the one for the
+ *   default port first
+ */
+async function chooseProjectFiles(projectPath, previous) {
+  const files = rojoServer.findProjectFiles(projectPath);
+
+  // Rojo reports a missing default.project.json itself
+  if (files.length <= 1) {
+    return files.length === 1 ? files : [rojoServer.DEFAULT_PROJECT_FILE];
+  }
+
+  logger.info(`This project has ${files.length} Rojo project files:`);
+  logger.list(files);
+  logger.newline();
+  logger.info('Each file you choose gets its own Rojo server and port.');
+  logger.newline();
+
+  const selected = previous && previous.some(file => files.includes(file))
+    ? previous
+    : [files[0]];
+
+  const chosen = await prompt.multiselect(
+    'Which project files should be served? (space to select, enter to confirm)',
+    files.map(file => ({ name: file, message: file, enabled: selected.includes(file) })),
+    { key: 'project-files' }
+  );
+
+  logger.newline();
+
+  if (!chosen || chosen.length === 0) {
+    logger.warning(`Nothing chosen, serving ${files[0]}.`);
     logger.newline();
+    return [files[0]];
+  }
+
+  // Keep the discovery order, so default.project.json stays first
+  return files.filter(file => chosen.includes(file));
+}
+
+/**
+ * Wait for a port to be released after stopping its owner
+ * @param {number} port - Port number
+ * @returns {Promise<boolean>} True if the port is free
+ */
+async function waitForPortFree(port) {
+  const deadline = Date.now() + 3000;
 
-    // Verify we have a project to serve
-    if (!context.projectPath) {
-      logger.error('No project path found. Cannot start Rojo server.');
-      logger.warning('Please complete the project scaffolding step first.');
-      return { success: false, retry: false };
+  while (!(await network.isPortAvailable(port))) {
+    if (Date.now() >= deadline) {
+      return false;
     }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
 
-    const projectPath = context.projectPath;
+  return true;
+}
 
-    logger.info(`Project location: ${projectPath}`);
+/**
+ * Deal with another process holding the default port: reuse it if it is
+ * a Rojo server for this project, offer to stop it, and only then move to
+ * another port (with an explanation)
+ * @param {string} projectPath - Project folder
+ * @param {string} projectFile - Project file to serve
+ * @param {string} projectName - Project name from the project file
+ * @param {string} address - Address the server will listen on
+ * @returns {Promise<Object>} { port } to start on, { server, serverCheck }
+ *   for a reused server, or { result } to return from run()
+ */
+async function resolvePortConflict(projectPath, projectFile, projectName, address) {
+  const owner = network.getPortOwner(DEFAULT_PORT);
+  const occupant = await rojoApi.checkServer(DEFAULT_PORT, { projectName });
+  const ownerName = owner ? `${owner.name || 'an unknown program'} (PID: ${owner.pid})` : 'another program';
+
+  logger.warning(`Port ${DEFAULT_PORT} is already in use by ${ownerName}`);
+  if (owner && owner.command) {
+    logger.info(`  • Command: ${owner.command}`);
+  }
+  if (owner && owner.cwd) {
+    logger.info(`  • Folder: ${owner.cwd}`);
+  }
+  if (occupant.info) {
+    logger.info(`  • Rojo server for project "${occupant.info.projectName}"`);
+  }
+  logger.newline();
+
+  // A `rojo serve` for this project that was started by hand, or whose
+  // pidfile was lost
+  const sameFolder = !owner || !owner.cwd || path.resolve(owner.cwd) === path.resolve(projectPath);
+
+  if (owner && occupant.ours && sameFolder) {
+    logger.info('It is already serving this project.');
+
+    const reuse = await prompt.confirm('Use this server instead of starting a new one?', true, { key: 'reuse-port-owner' });
+
+    if (reuse) {
+      const server = rojoServer.adopt(owner, { projectPath, projectFile, port: DEFAULT_PORT });
+      logger.success(`✓ Using the running Rojo server (PID: ${server.pid}, port ${DEFAULT_PORT})`);
+      return { server, serverCheck: occupant };
+    }
+  }
+
+  if (owner) {
+    // Stopping is the obvious fix for a Rojo server; ask first for anything else
+    const shouldStop = await prompt.confirm(
+      `Stop ${owner.name || 'it'} (PID: ${owner.pid}) to free port ${DEFAULT_PORT}?`,
+      Boolean(occupant.info),
+      { key: 'stop-port-owner' }
+    );
+
+    if (shouldStop) {
+      try {
+        await processManager.stopPid(owner.pid);
+      } catch (error) {
+        logger.warning(`Could not stop it: ${error.message}`);
+      }
+
+      if (await waitForPortFree(DEFAULT_PORT)) {
+        logger.success(`✓ Port ${DEFAULT_PORT} is free now`);
+        return { port: DEFAULT_PORT };
+      }
+
+      logger.warning(`Port ${DEFAULT_PORT} is still in use.`);
+    }
+  } else {
+    logger.info('Could not find out which program it is (it may belong to another user).');
+  }
+
+  logger.newline();
+  logger.info(`The Rojo plugin in Studio connects to port ${DEFAULT_PORT} unless you change it.`);
+  logger.info('On another port you have to enter that port in the plugin, or Studio will not find the server.');
+  logger.newline();
+
+  const useOtherPort = await prompt.confirm('Start the server on another port?', true, { key: 'use-other-port' });
+
+  if (!useOtherPort) {
+    logger.info(`Free port ${DEFAULT_PORT}, then try again.`);
+    const retry = await prompt.confirm('Try again?', true, { key: 'retry-port-in-use' });
+    return { result: { success: false, retry } };
+  }
+
+  const port = await rojoServer.findPort({ skipDefault: true });
+
+  if (!port) {
+    logger.error(`All Rojo ports (${rojoServer.getPortRange()}) are in use.`);
+    logger.warning('Please close any running Rojo servers and try again.');
+
+    const retry = await prompt.confirm('Try again?', true, { key: 'retry-no-free-port' });
+    return { result: { success: false, retry } };
+  }
+
+  logger.success(`✓ Port ${port} is available`);
+
+  // On 0.0.0.0 the host for Studio is only known once the server is up
+  const hosts = rojoServer.getConnectHosts(address);
+  if (hosts.length === 1) {
+    logger.warning(`Remember to connect Studio to ${hosts[0].host}:${port}, not port ${DEFAULT_PORT}.`);
+  } else {
+    logger.warning(`Remember to use port ${port}, not ${DEFAULT_PORT}, in the Rojo plugin (the host is shown once the server is running).`);
+  }
+  return { port };
+}
+
+/**
+ * Get the servers a context describes (older sessions only stored one)
+ * @param {Object} context - Wizard context
+ * @returns {Array<Object>} Server entries with projectFile, port and sessionId
+ */
+function getContextServers(context) {
+  if (Array.isArray(context.rojoServers) && context.rojoServers.length > 0) {
+    return context.rojoServers;
+  }
+
+  return context.rojoPort
+    ? [{ projectFile: rojoServer.DEFAULT_PROJECT_FILE, port: context.rojoPort, sessionId: context.rojoSessionId }]
+    : [];
+}
+
+/**
+ * Start (or reuse) the server for one project file
+ * @param {string} projectPath - Project folder
+ * @param {string} projectFile - Project file to serve
+ * @param {boolean} primary - Whether it should get the default port
+ * @param {string} address - Address to listen on
+ * @returns {Promise<Object>} { server } entry for context.rojoServers, or
+ *   { result } to return from run()
+ */
+async function serveProjectFile(projectPath, projectFile, primary, address) {
+  const projectName = rojoApi.readProjectName(projectPath, projectFile);
+  const host = rojoServer.getLocalHost(address);
+
+  // Reuse a server left running by an earlier run
+  const existing = await rojoServer.getServer(projectFile);
+  const ownServer = Boolean(existing && existing.listening && rojoServer.isServing(existing, projectPath, projectFile));
+  const existingCheck = ownServer && existing.address === address
+    ? await rojoApi.checkServer(existing.port, { projectName }, { host: existing.host })
+    : null;
+
+  if (existingCheck && existingCheck.ours) {
+    logger.success(`✓ Rojo server from an earlier run is still running (PID: ${existing.pid}, port ${existing.port})`);
+    return { server: useServer(existing, existingCheck) };
+  }
+
+  if (existingCheck) {
+    logger.warning(existingCheck.reason);
+  }
+
+  if (ownServer && existing.address !== address) {
+    // Rojo cannot change its address while running
+    logger.info(`The Rojo server from an earlier run listens on ${existing.address}, restarting it on ${address}...`);
+    await rojoServer.stop(projectFile);
     logger.newline();
+  } else if (existing) {
+    const serving = existing.listening
+      ? `serving ${existing.project} on port ${existing.port}`
+      : `for ${existing.project}, but not listening`;
+    logger.warning(`Another Rojo server is running (PID: ${existing.pid}, ${serving}).`);
+
+    const shouldStop = await prompt.confirm('Stop it and start a server for this project?', true, { key: 'stop-other-server' });
+
+    if (!shouldStop) {
+      logger.error(`Only one Rojo server per project file (${projectFile}) can be managed at a time.`);
+      logger.info('Stop it later with: yoblox-setup serve --stop');
+      return { result: { success: false, retry: false } };
+    }
 
-    try {
-      // Step 1: Find an available port
-      logger.info('Finding available port for Rojo server...');
+    await rojoServer.stop(projectFile);
+    logger.success('✓ Stopped the other Rojo server');
+    logger.newline();
+  }
 
-      let selectedPort = null;
+  const addressArg = address === DEFAULT_ADDRESS ? '' : ` --address ${address}`;
+  let selectedPort = null;
 
-      // Check if default port is available
-      const defaultAvailable = await network.isPortAvailable(DEFAULT_PORT);
+  try {
+    // Step 1: Find an available port
+    logger.info('Finding available port for Rojo server...');
 
-      if (defaultAvailable) {
-        selectedPort = DEFAULT_PORT;
-        logger.success(`✓ Port ${DEFAULT_PORT} is available`);
-      } else {
-        logger.warning(`Port ${DEFAULT_PORT} is already in use`);
-        logger.info('Trying fallback ports...');
+    if (!primary) {
+      // The default port belongs to the first project file
+      selectedPort = await rojoServer.findPort({ skipDefault: true });
 
-        // Try fallback ports
-        for (const port of FALLBACK_PORTS) {
-          const available = await network.isPortAvailable(port);
-          if (available) {
-            selectedPort = port;
-            logger.success(`✓ Port ${port} is available`);
-            break;
-          }
-        }
+      if (!selectedPort) {
+        logger.error(`All Rojo ports (${rojoServer.getPortRange()}) are in use.`);
+        logger.warning('Please close any running Rojo servers and try again.');
 
-        if (!selectedPort) {
-          logger.error('All Rojo ports are occupied.');
-          logger.warning('Please close any running Rojo servers and try again.');
+        const retry = await prompt.confirm('Try again?', true, { key: 'retry-no-extra-port' });
+        return { result: { success: false, retry } };
+      }
 
-          const retry = await prompt.confirm('Try again?', true);
-          return { success: false, retry };
-        }
+      logger.success(`✓ Port ${selectedPort} is available`);
+    } else if (await network.isPortAvailable(DEFAULT_PORT)) {
+      selectedPort = DEFAULT_PORT;
+      logger.success(`✓ Port ${DEFAULT_PORT} is available`);
+    } else {
+      const conflict = await resolvePortConflict(projectPath, projectFile, projectName, address);
+
+      if (conflict.result) {
+        return conflict;
       }
 
-      logger.newline();
+      if (conflict.server) {
+        logger.newline();
+        return { server: useServer(conflict.server, conflict.serverCheck) };
+      }
 
-      // Step 2: Start Rojo server
-      logger.info(`Starting Rojo server on port ${selectedPort}...`);
-      logger.info('Command: rojo serve --port ' + selectedPort);
-      logger.newline();
+      selectedPort = conflict.port;
+    }
+
+    logger.newline();
 
-      const rojoProcess = await process.startBackground(
-        'rojo',
-        ['serve', '--port', selectedPort.toString()],
-        'rojo-server',
-        {
-          cwd: projectPath,
-          stdio: ['ignore', 'pipe', 'pipe']
-        }
-      );
-
-      logger.success(`✓ Rojo server started (PID: ${rojoProcess.pid})`);
+    // Step 2: Start Rojo server
+    logger.info(`Starting Rojo server on port ${selectedPort}...`);
+    logger.info(`Command: rojo serve ${projectFile} --port ${selectedPort}${addressArg}`);
+    logger.newline();
+
+    const rojoProcess = await rojoServer.start({
+      projectPath,
+      projectFile,
+      port: selectedPort,
+      address,
+      startedBy: 'wizard'
+    });
+
+    logger.success(`✓ Rojo server started (PID: ${rojoProcess.pid})`);
+    logger.newline();
+
+    // Step 3: Wait for Rojo to say it is listening
+    logger.info('Waiting for server to be ready...');
+
+    const ready = await rojoServer.waitForReady(rojoProcess);
+
+    if (!ready) {
+      logger.error('Rojo server started but is not listening.');
       logger.newline();
 
-      // Step 3: Wait for port to open
-      logger.info('Waiting for server to be ready...');
+      return { result: await handleStartupFailure(projectPath, projectFile) };
+    }
+
+    logger.success('✓ Server is ready and listening!');
+    logger.newline();
+
+    // Step 4: Ask the Rojo API which server is answering
+    logger.info('Verifying server connection...');
+
+    const serverCheck = await rojoApi.waitForServer(selectedPort, { projectName }, undefined, { host });
 
-      const portReady = await network.waitForPort(
-        selectedPort,
-        PORT_CHECK_TIMEOUT,
-        'localhost',
-        500
-      );
+    if (!serverCheck.ours) {
+      logger.error(serverCheck.reason);
+      if (serverCheck.info) {
+        logger.info('That server is not the one we just started, so it is left alone.');
+      }
+      logger.newline();
 
-      if (!portReady) {
-        logger.error('Rojo server started but port is not listening.');
+      const output = rojoServer.getOutput(OUTPUT_LINES, projectFile);
+      if (output) {
+        logger.info('Server output:');
+        logger.info(output);
         logger.newline();
+      }
+
+      await rojoServer.stop(projectFile);
 
-        // Show server output for debugging
-        const status = process.getStatus('rojo-server');
-        if (status) {
-          if (status.stderr) {
-            logger.warning('Server error output:');
-            logger.info(status.stderr);
-            logger.newline();
-          }
-          if (status.stdout) {
-            logger.info('Server output:');
-            logger.info(status.stdout);
-            logger.newline();
-          }
-        }
-
-        // Cleanup
-        await process.stop('rojo-server');
-
-        const retry = await prompt.confirm('Try again?', true);
-        return { success: false, retry };
-      }
-
-      logger.success('✓ Server is ready and listening!');
+      const retry = await prompt.confirm('Try again?', true, { key: 'retry-server-check' });
+      return { result: { success: false, retry } };
+    }
+
+    logger.success('✓ Server is responding to requests');
+    return { server: useServer(rojoProcess, serverCheck) };
+  } catch (error) {
+    logger.error(`Failed to start Rojo server: ${error.message}`);
+    logger.newline();
+
+    // Rojo exited right away: usually a problem with the project
+    if (rojoErrors.diagnose(rojoServer.getOutput(OUTPUT_LINES, projectFile), projectPath, projectFile)) {
+      return { result: await handleStartupFailure(projectPath, projectFile) };
+    }
+
+    const output = rojoServer.getOutput(OUTPUT_LINES, projectFile);
+    if (output) {
+      logger.info('Server output:');
+      logger.info(output);
       logger.newline();
+    }
 
-      // Step 4: Verify server is responding
-      logger.info('Verifying server connection...');
+    // Show detailed error info
+    if (error.code) {
+      logger.warning(`Error code: ${error.code}`);
+    }
 
-      const connectionTest = await network.testConnection(
-        `http://localhost:${selectedPort}`,
-        3000
-      );
+    // Offer troubleshooting
+    logger.info('Common issues:');
+    logger.list([
+      'Rojo not installed correctly',
+      'Another Rojo server already running',
+      `Project missing ${projectFile}`,
+      'Firewall blocking the port'
+    ]);
+    logger.newline();
+
+    logger.info('Try these commands manually:');
+    logger.info(`  cd ${projectPath}`);
+    logger.info(`  rojo serve ${projectFile} --port ${selectedPort || DEFAULT_PORT}${addressArg}`);
+    logger.newline();
+
+    const retry = await prompt.confirm('Try again?', true, { key: 'retry-start' });
+    return { result: { success: false, retry } };
+  }
+}
+
+module.exports = {
+  name: 'rojoServer',
+  order: 10,
+  requires: ['projectPath', 'rojoVersion'],
+  provides: ['rojoPort', 'rojoUrl', 'rojoRunning', 'rojoServers'],
 
-      if (!connectionTest.success) {
-        logger.warning('Server is listening but not responding to requests.');
-        logger.info('This might be normal - continuing anyway...');
-      } else {
-        logger.success('✓ Server is responding to requests');
+  async check(context) {
+    // Check if the Rojo servers are already running, including ones
+    // started by an earlier run
+    const expected = getContextServers(context);
+    const address = context.rojoAddress || DEFAULT_ADDRESS;
+
+    if (expected.length === 0) {
+      return { found: false, canSkip: false };
+    }
+
+    for (const entry of expected) {
+      const server = await rojoServer.getServer(entry.projectFile);
+
+      // A different --address needs a restart
+      if (!server || !server.listening || server.port !== entry.port || server.address !== address ||
+          !rojoServer.isServing(server, context.projectPath, entry.projectFile)) {
+        return { found: false, canSkip: false };
       }
 
-      logger.newline();
+      const serverCheck = await rojoApi.checkServer(server.port, {
+        projectName: rojoApi.readProjectName(context.projectPath, entry.projectFile)
+      }, { host: server.host });
 
-      // Success summary
-      logger.divider();
-      logger.newline();
-      logger.success('Rojo server is running!');
-      logger.newline();
-      logger.info('Server details:');
-      logger.info(`  • Port: ${selectedPort}`);
-      logger.info(`  • URL: http://localhost:${selectedPort}`);
-      logger.info(`  • Project: ${path.basename(projectPath)}`);
-      logger.info(`  • Status: Running in background`);
-      logger.newline();
+      if (!serverCheck.ours) {
+        return { found: false, canSkip: false };
+      }
+    }
 
-      logger.info('The server will keep running throughout the setup process.');
-      logger.info('You can connect to it from Roblox Studio using the Rojo plugin.');
-      logger.newline();
+    return { found: true, canSkip: true };
+  },
 
-      logger.divider();
-      logger.newline();
+  async plan(context, checkResult) {
+    const port = await rojoServer.findPort();
 
-      return {
-        success: true,
-        data: {
-          rojoPort: selectedPort,
-          rojoUrl: `http://localhost:${selectedPort}`,
-          rojoRunning: true
-        }
-      };
-    } catch (error) {
-      logger.error(`Failed to start Rojo server: ${error.message}`);
-      logger.newline();
+    if (!port) {
+      return [
+        { type: 'bind', target: DEFAULT_PORT, description: `All Rojo ports (${rojoServer.getPortRange()}) are in use - setup would stop here` }
+      ];
+    }
 
-      // Show detailed error info
-      if (error.code) {
-        logger.warning(`Error code: ${error.code}`);
+    const address = context.rojoAddress || DEFAULT_ADDRESS;
+    const addressArg = address === DEFAULT_ADDRESS ? '' : ` --address ${address}`;
+
+    let description = 'Listen for Studio connections';
+
+    if (!rojoServer.isLoopback(address)) {
+      description += ` on ${address}, reachable from other machines`;
+    } else if (system.isWSL()) {
+      description += ' (in WSL you are asked whether Studio connects from Windows)';
+    }
+
+    if (port !== DEFAULT_PORT) {
+      const owner = network.getPortOwner(DEFAULT_PORT);
+      const ownerName = owner ? `${owner.name || 'unknown program'}, PID ${owner.pid}` : 'unknown program';
+      description += ` (${DEFAULT_PORT} is in use by ${ownerName} - you will be asked to reuse or stop it first)`;
+    }
+
+    const projectFiles = context.projectPath ? rojoServer.findProjectFiles(context.projectPath) : [];
+    const projectFile = projectFiles[0] || rojoServer.DEFAULT_PROJECT_FILE;
+    const choice = projectFiles.length > 1
+      ? ` (you choose which of the ${projectFiles.length} project files to serve; each gets a server on the next free port)`
+      : '';
+
+    return [
+      { type: 'bind', target: port, description },
+      {
+        type: 'start',
+        target: `rojo serve ${projectFile} --port ${port}${addressArg}`,
+        description: `Run the Rojo server in the background from ${context.projectPath || 'the project folder'}${choice}`
       }
+    ];
+  },
 
-      // Offer troubleshooting
-      logger.info('Common issues:');
-      logger.list([
-        'Rojo not installed correctly',
-        'Another Rojo server already running',
-        'Project missing default.project.json',
-        'Firewall blocking the port'
-      ]);
-      logger.newline();
+  async verify(context) {
+    // Verify the Rojo servers are running and their ports are open
+    const expected = getContextServers(context);
 
-      logger.info('Try these commands manually:');
-      logger.info(`  cd ${projectPath}`);
-      logger.info(`  rojo serve --port ${DEFAULT_PORT}`);
-      logger.newline();
+    if (expected.length === 0) {
+      return { verified: false, issues: ['No Rojo port configured'] };
+    }
+
+    const issues = [];
 
-      const retry = await prompt.confirm('Try again?', true);
-      return { success: false, retry };
+    for (const entry of expected) {
+      const server = await rojoServer.getServer(entry.projectFile);
+
+      if (!server) {
+        issues.push(`Rojo server process for ${entry.projectFile} not running`);
+        continue;
+      }
+
+      if (server.port !== entry.port || !server.listening) {
+        issues.push(`Port ${entry.port} not listening`);
+        continue;
+      }
+
+      const serverCheck = await rojoApi.checkServer(entry.port, {
+        projectName: rojoApi.readProjectName(context.projectPath, entry.projectFile),
+        sessionId: entry.sessionId
+      }, { host: server.host });
+
+      if (!serverCheck.ours) {
+        issues.push(serverCheck.reason);
+      }
+    }
+
+    return { verified: issues.length === 0, issues };
+  },
+
+  async cleanup(context) {
+    stopSupervising();
+
+    // Stop the Rojo servers the wizard started (leave servers started
+    // with `yoblox-setup serve` alone)
+    for (const server of await rojoServer.listServers()) {
+      if (server.startedBy === 'wizard') {
+        logger.info(`Stopping Rojo server for ${server.projectFile}...`);
+        await rojoServer.stop(server.projectFile);
+      }
     }
+  },
+
+  async run(context) {
+    logger.header('Start Rojo Server', 10, 14);
+
+    logger.info('Now we will start the Rojo server in the background.');
+    logger.info('This server syncs your code from VS Code to Roblox Studio in real-time.');
+    logger.newline();
+
+    const projectPath = context.projectPath;
+
+    logger.info(`Project location: ${projectPath}`);
+    logger.newline();
+
+    const projectFiles = await chooseProjectFiles(projectPath, context.rojoProjectFiles);
+    const address = await chooseAddress(context);
+    const started = [];
+
+    for (const [index, projectFile] of projectFiles.entries()) {
+      if (projectFiles.length > 1) {
+        logger.info(`Project file ${index + 1} of ${projectFiles.length}: ${projectFile}`);
+        logger.newline();
+      }
+
+      const outcome = await serveProjectFile(projectPath, projectFile, index === 0, address);
+
+      if (outcome.result) {
+        return outcome.result;
+      }
+
+      started.push(outcome.server);
+    }
+
+    // All servers share the address, so checking the first one is enough
+    const studioHost = await checkReachability(started[0]);
+    const servers = started.map(server => ({
+      ...server,
+      host: studioHost,
+      url: `http://${studioHost}:${server.port}`
+    }));
+
+    const primary = servers[0];
+
+    // Success summary
+    logger.divider();
+    logger.newline();
+    logger.success(servers.length > 1 ? 'Rojo servers are running!' : 'Rojo server is running!');
+    logger.newline();
+    logger.info('Server details:');
+    if (servers.length > 1) {
+      for (const server of servers) {
+        logger.info(`  • ${server.projectFile}: ${server.url}`);
+      }
+    } else {
+      logger.info(`  • Port: ${primary.port}`);
+      logger.info(`  • URL: ${primary.url}`);
+      logger.info(`  • Project file: ${primary.projectFile}`);
+    }
+    if (address !== DEFAULT_ADDRESS) {
+      logger.info(`  • Listening on: ${address}`);
+    }
+    logger.info(`  • Project: ${path.basename(projectPath)}`);
+    logger.info(`  • Status: Running in background`);
+    logger.newline();
+
+    logger.info('In the Rojo plugin in Studio, connect to:');
+    for (const server of servers) {
+      const label = servers.length > 1 ? ` (${server.projectFile})` : '';
+      logger.info(`  ${server.host}:${server.port}${label}`);
+    }
+    logger.newline();
+
+    logger.info('The server keeps running in the background, even after setup finishes.');
+    logger.info('You can connect to it from Roblox Studio using the Rojo plugin.');
+    logger.info('Check on it with yoblox-setup serve --status, stop it with yoblox-setup serve --stop.');
+    logger.newline();
+
+    logger.divider();
+    logger.newline();
+
+    return {
+      success: true,
+      data: {
+        rojoPort: primary.port,
+        rojoUrl: primary.url,
+        rojoAddress: address,
+        rojoHost: studioHost,
+        rojoRunning: true,
+        rojoSessionId: primary.sessionId,
+        rojoProjectFiles: projectFiles,
+        rojoServers: servers
+      }
+    };
   }
 };
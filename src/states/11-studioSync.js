@@ -13,6 +13,7 @@ const installer = require('../utils/installer');
 const prompt = require('../utils/prompt');
 const system = require('../utils/system');
 const os = require('os');
+const config = require('../config');
 
 // Rojo plugin information
 const ROJO_PLUGIN_URL = 'https://www.roblox.com/library/13916111004/Rojo';
@@ -21,6 +22,8 @@ const ROJO_PLUGIN_NAME = 'Rojo 7.x';
 module.exports = {
   name: 'studioSync',
   order: 11,
+  requires: ['rojoPort', 'rojoRunning'],
+  provides: ['studioConnected', 'studioLaunched', 'rojoPluginInstalled'],
 
   async check(context) {
     // Check if Studio sync already configured
@@ -30,6 +33,20 @@ module.exports = {
     return { found: false, canSkip: false };
   },
 
+  async plan(context, checkResult) {
+    return [
+      { type: 'start', target: 'Roblox Studio', description: 'Launch Roblox Studio' },
+      {
+        type: 'download',
+        target: config.ROBLOX_STUDIO_INSTALLER_WIN,
+        description: 'Download and launch the Studio installer',
+        when: 'if Studio fails to update and you accept'
+      },
+      { type: 'open', target: 'https://www.roblox.com/login', description: 'Open the Roblox login page', when: 'if you are not logged in' },
+      { type: 'open', target: ROJO_PLUGIN_URL, description: 'Open the Rojo plugin page', when: 'if the Rojo plugin is not installed' }
+    ];
+  },
+
   async verify(context) {
     // User confirmation is the verification for this state
     if (context.studioConnected) {
@@ -43,7 +60,7 @@ module.exports = {
   },
 
   async run(context) {
-    logger.header('Connect Roblox Studio', 11, 13);
+    logger.header('Connect Roblox Studio', 11, 14);
 
     logger.info('Now we will set up Roblox Studio to sync with your project.');
     logger.info('This is a guided process - we will walk you through each step carefully.');
@@ -57,12 +74,6 @@ module.exports = {
       return { success: false, retry: false };
     }
 
-    if (!context.rojoPort || !context.rojoRunning) {
-      logger.error('Rojo server is not running!');
-      logger.warning('Please complete the Rojo server step first.');
-      return { success: false, retry: false };
-    }
-
     logger.success('✓ Roblox Studio is installed');
     if (studioCheck.version) {
       logger.info(`  Version: ${studioCheck.version}`);
@@ -120,7 +131,7 @@ module.exports = {
     logger.info('Your setup:');
     logger.info(`  • Studio: Open and running`);
     logger.info(`  • Rojo plugin: Installed and active`);
-    logger.info(`  • Connection: localhost:${context.rojoPort}`);
+    logger.info(`  • Connection: ${getServerAddress(context)}`);
     logger.info(`  • Status: Connected and ready to sync`);
     logger.newline();
 
@@ -637,7 +648,7 @@ async function launchStudio(studioCheck) {
             // Wait a bit to let them watch
             logger.info('Take your time - I\'ll wait here.');
             logger.info('Press Enter when Studio has finished updating and reopened...');
-            await prompt.confirm('', true);
+            await prompt.confirm('', true, { key: 'studio-update-finished' });
             logger.newline();
             logger.success('✓ Great! Studio should now be updated and ready.');
           } else {
@@ -677,7 +688,7 @@ async function launchStudio(studioCheck) {
       }
 
       logger.newline();
-      const tryAgain = await prompt.confirm('Ready to try again?', true);
+      const tryAgain = await prompt.confirm('Ready to try again?', true, { key: 'retry-launch-studio' });
       if (!tryAgain) {
         logger.warning('Okay, we\'ll stop here. Fix the issue and run the wizard again.');
         return false;
@@ -889,7 +900,7 @@ async function installRojoPlugin() {
         logger.newline();
 
         logger.warning('⏸️  Complete the login, then press Enter here to continue...');
-        await prompt.confirm('', true);
+        await prompt.confirm('', true, { key: 'plugin-login-complete' });
         logger.newline();
         logger.success('✓ You should now be logged in!');
         logger.newline();
@@ -940,7 +951,7 @@ async function installRojoPlugin() {
     }
 
     logger.newline();
-    const tryAgain = await prompt.confirm('Ready to try again?', true);
+    const tryAgain = await prompt.confirm('Ready to try again?', true, { key: 'retry-install-plugin' });
     return tryAgain ? installRojoPlugin() : false;
   }
 
@@ -1010,7 +1021,7 @@ async function openRojoPanel() {
     logger.newline();
 
     logger.warning('⏸️  Open a place in Studio, then press Enter here...');
-    await prompt.confirm('', true);
+    await prompt.confirm('', true, { key: 'place-opened' });
     logger.newline();
     logger.success('✓ Great! Now you have a place open.');
     logger.newline();
@@ -1134,7 +1145,7 @@ async function openRojoPanel() {
     }
 
     logger.newline();
-    const tryAgain = await prompt.confirm('Ready to try again?', true);
+    const tryAgain = await prompt.confirm('Ready to try again?', true, { key: 'retry-open-panel' });
     return tryAgain ? openRojoPanel() : false;
   }
 
@@ -1204,7 +1215,7 @@ async function openRojoPanel() {
       ]);
       logger.newline();
 
-      const retry = await prompt.confirm('Ready to try again?', true);
+      const retry = await prompt.confirm('Ready to try again?', true, { key: 'retry-connect-ui' });
       return retry ? openRojoPanel() : false;
     }
 
@@ -1219,6 +1230,15 @@ async function openRojoPanel() {
   return true;
 }
 
+/**
+ * Get the host:port to type into the Rojo plugin
+ * @param {Object} context - Wizard context
+ * @returns {string} Server address such as "localhost:34872"
+ */
+function getServerAddress(context) {
+  return `${context.rojoHost || 'localhost'}:${context.rojoPort}`;
+}
+
 /**
  * STEP 4: Connect to Rojo Server
  */
@@ -1236,7 +1256,7 @@ async function connectToServer(context) {
   logger.info('In the Rojo panel in Studio:');
   logger.list([
     '1. Find the text box (usually says "localhost:34872" or is empty)',
-    `2. Type this exactly: localhost:${context.rojoPort}`,
+    `2. Type this exactly: ${getServerAddress(context)}`,
     '3. Click the "Connect" button',
     '4. Wait 2-3 seconds',
     '5. You should see "Connected" with a GREEN indicator'
@@ -1284,7 +1304,7 @@ async function connectToServer(context) {
       case 'error':
         logger.info('If you see an error:');
         logger.list([
-          `Double-check you typed: localhost:${context.rojoPort} (exactly like that)`,
+          `Double-check you typed: ${getServerAddress(context)} (exactly like that)`,
           'Make sure there are no extra spaces',
           'The Rojo server needs to be running - check this window\'s previous steps',
           'Try clicking Disconnect then Connect again',
@@ -1297,7 +1317,7 @@ async function connectToServer(context) {
         logger.list([
           'Wait a bit longer - sometimes it takes 10-15 seconds',
           'Check if Rojo server is still running (look earlier in this window)',
-          `Make sure you entered: localhost:${context.rojoPort}`,
+          `Make sure you entered: ${getServerAddress(context)}`,
           'Click Disconnect, wait 3 seconds, then Connect again',
           'Your firewall might be blocking it - allow Roblox Studio through firewall'
         ]);
@@ -1317,18 +1337,21 @@ async function connectToServer(context) {
       case 'wrongport':
         logger.info('If connection refused or failed:');
         logger.list([
-          `Make sure the server address is EXACTLY: localhost:${context.rojoPort}`,
+          `Make sure the server address is EXACTLY: ${getServerAddress(context)}`,
           'The Rojo server must be running - check earlier in this window',
           'Try disconnecting and reconnecting',
           'Windows Firewall might be blocking - allow Studio in firewall settings',
           'Try restarting the Rojo server (we can help with this)'
         ]);
+        if (context.rojoAddress && context.rojoAddress !== 'localhost') {
+          logger.info(`Studio connects over the network: allow incoming TCP port ${context.rojoPort} in this machine's firewall.`);
+        }
         break;
 
       default:
         logger.info('General connection troubleshooting:');
         logger.list([
-          `Verify server address: localhost:${context.rojoPort}`,
+          `Verify server address: ${getServerAddress(context)}`,
           'Check Rojo server is still running',
           'Try closing and reopening the Rojo panel',
           'Close and reopen Studio completely',
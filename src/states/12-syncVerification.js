@@ -4,15 +4,25 @@
  * THE MOST CRITICAL STATE - Proves end-to-end that everything works.
  * Creates a test file, verifies it appears in Studio, then cleans up.
  * If this works, the entire setup is confirmed working.
+ *
+ * The disk-to-server half is checked automatically: the served instance
+ * tree is watched through Rojo's read/subscribe API until the test
+ * instance appears (measuring the latency), and again until it disappears
+ * after the file is deleted. Only the Studio half needs the user.
  */
 
 const logger = require('../utils/logger');
 const prompt = require('../utils/prompt');
+const rojoApi = require('../utils/rojoApi');
 const fs = require('fs');
 const path = require('path');
 
 // Test file configuration
 const TEST_FILE_NAME = '_yoblox_test_sync.lua';
+const TEST_INSTANCE_NAME = path.basename(TEST_FILE_NAME, '.lua');
+
+// How long Rojo gets to pick up the test file (ms)
+const SYNC_TIMEOUT = 10000;
 const TEST_FILE_CONTENT = `-- Test file created by yoblox-setup wizard
 -- If you can see this file in Roblox Studio, your sync is working!
 print("✓ Sync test successful! Your development environment is ready!")
@@ -24,9 +34,60 @@ return {
 }
 `;
 
+/**
+ * Delete the test file if it exists
+ * @param {string} testFilePath - Test file path
+ */
+function removeTestFile(testFilePath) {
+  try {
+    if (fs.existsSync(testFilePath)) {
+      fs.unlinkSync(testFilePath);
+    }
+  } catch (error) {
+    // Ignore
+  }
+}
+
+/**
+ * After a failed check: try again, continue anyway or stop
+ * @param {string} testFilePath - Test file path
+ * @returns {Promise<Object>} State result
+ */
+async function offerRetry(testFilePath) {
+  const tryAgain = await prompt.confirm('Try creating the test file again?', true);
+
+  if (tryAgain) {
+    // Delete and recreate
+    removeTestFile(testFilePath);
+    logger.info('Deleted old test file.');
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    return { success: false, retry: true };
+  }
+
+  logger.warning('Sync verification failed.');
+  logger.info('You can continue, but manual verification is recommended.');
+  logger.newline();
+
+  const continueAnyway = await prompt.confirm('Continue anyway?', false);
+
+  if (continueAnyway) {
+    return {
+      success: true,
+      data: {
+        syncVerified: false,
+        syncSkipped: true
+      }
+    };
+  }
+
+  return { success: false, retry: false };
+}
+
 module.exports = {
   name: 'syncVerification',
   order: 12,
+  requires: ['projectPath', 'rojoRunning', 'studioConnected'],
+  provides: ['syncVerified'],
 
   async check(context) {
     // Check if sync already verified
@@ -36,9 +97,19 @@ module.exports = {
     return { found: false, canSkip: false };
   },
 
+  async plan(context, checkResult) {
+    return [
+      {
+        type: 'write',
+        target: path.join(context.projectPath || '<project folder>', 'src', TEST_FILE_NAME),
+        description: 'Create a test script to check that it syncs to Studio (deleted afterwards)'
+      }
+    ];
+  },
+
   async verify(context) {
-    // User confirmation is the verification
-    if (context.syncVerified) {
+    // User confirmation is the verification (or an explicit "continue anyway")
+    if (context.syncVerified || context.syncSkipped) {
       return { verified: true, issues: [] };
     }
     return { verified: false, issues: ['Sync not verified'] };
@@ -59,29 +130,13 @@ module.exports = {
   },
 
   async run(context) {
-    logger.header('Verify End-to-End Sync', 12, 13);
+    logger.header('Verify End-to-End Sync', 12, 14);
 
     logger.info('This is the final verification step!');
     logger.info('We will create a test file and confirm you can see it in Studio.');
     logger.info('If this works, your ENTIRE setup is confirmed working perfectly.');
     logger.newline();
 
-    // Verify prerequisites
-    if (!context.projectPath) {
-      logger.error('No project path found.');
-      return { success: false, retry: false };
-    }
-
-    if (!context.rojoRunning) {
-      logger.error('Rojo server is not running.');
-      return { success: false, retry: false };
-    }
-
-    if (!context.studioConnected) {
-      logger.error('Studio is not connected.');
-      return { success: false, retry: false };
-    }
-
     logger.success('✓ Project created');
     logger.success('✓ Rojo server running');
     logger.success('✓ Studio connected');
@@ -114,9 +169,22 @@ module.exports = {
 
     const testFilePath = path.join(context.projectPath, 'src', TEST_FILE_NAME);
 
+    // Start following Rojo's tree before the file exists, so the test
+    // instance shows up as a change
+    removeTestFile(testFilePath);
+    const tree = await rojoApi.watchTree(context.rojoPort, { host: context.rojoHost || 'localhost' });
+
+    if (!tree.success) {
+      logger.warning(`Could not watch the Rojo server (${tree.error}).`);
+      logger.info('Only the check in Studio will be done.');
+      logger.newline();
+    }
+
     logger.info(`Creating test file: src/${TEST_FILE_NAME}`);
     logger.newline();
 
+    let writtenAt;
+
     try {
       // Ensure src directory exists
       const srcDir = path.join(context.projectPath, 'src');
@@ -126,6 +194,7 @@ module.exports = {
 
       // Write test file
       fs.writeFileSync(testFilePath, TEST_FILE_CONTENT, 'utf8');
+      writtenAt = Date.now();
 
       logger.success('✓ Test file created!');
       logger.newline();
@@ -135,8 +204,44 @@ module.exports = {
       return { success: false, retry: false };
     }
 
-    // Step 3: Wait for sync
-    logger.info('STEP 3: Check Studio');
+    // Step 3: Check that Rojo picked it up
+    let syncLatency = null;
+
+    if (tree.success) {
+      logger.info('STEP 3: Check Rojo');
+      logger.newline();
+
+      logger.info('Waiting for Rojo to pick up the test file...');
+
+      let appeared = false;
+      try {
+        appeared = await tree.watcher.waitUntil(watcher => watcher.has(TEST_INSTANCE_NAME), SYNC_TIMEOUT);
+      } catch (error) {
+        logger.warning(error.message);
+      }
+
+      if (!appeared) {
+        logger.error(`Rojo did not pick up the test file within ${SYNC_TIMEOUT / 1000} seconds.`);
+        logger.newline();
+
+        logger.info('Troubleshooting:');
+        logger.list([
+          'Check that default.project.json maps the src folder',
+          'Check the Rojo server output: yoblox-setup logs rojo-server',
+          'Check that the Rojo server is still running: yoblox-setup serve --status'
+        ]);
+        logger.newline();
+
+        return await offerRetry(testFilePath);
+      }
+
+      syncLatency = Date.now() - writtenAt;
+      logger.success(`✓ Rojo is serving the test file (${syncLatency} ms after it was written)`);
+      logger.newline();
+    }
+
+    // Step 4: Look in Studio
+    logger.info(`STEP ${tree.success ? 4 : 3}: Check Studio`);
     logger.newline();
 
     logger.info('The file should appear in Roblox Studio within a few seconds.');
@@ -151,16 +256,18 @@ module.exports = {
     ]);
     logger.newline();
 
-    logger.warning('NOTE: The sync usually happens instantly, but can take up to 5 seconds.');
-    logger.newline();
+    if (!tree.success) {
+      logger.warning('NOTE: The sync usually happens instantly, but can take up to 5 seconds.');
+      logger.newline();
 
-    // Give user time to look
-    logger.info('Waiting for file to sync...');
-    await new Promise(resolve => setTimeout(resolve, 3000));
-    logger.newline();
+      // Give user time to look
+      logger.info('Waiting for file to sync...');
+      await new Promise(resolve => setTimeout(resolve, 3000));
+      logger.newline();
+    }
 
-    // Step 4: User confirmation
-    logger.info('STEP 4: Confirm Sync');
+    // Step 5: User confirmation
+    logger.info(`STEP ${tree.success ? 5 : 4}: Confirm Sync`);
     logger.newline();
 
     const canSeeFile = await prompt.confirm(
@@ -191,40 +298,14 @@ module.exports = {
         return { success: false, retry: false };
       }
 
-      logger.info('The file exists on disk, but Rojo did not sync it to Studio.');
-      logger.newline();
-
-      const tryAgain = await prompt.confirm('Try creating the test file again?', true);
-
-      if (tryAgain) {
-        // Delete and recreate
-        try {
-          fs.unlinkSync(testFilePath);
-          logger.info('Deleted old test file.');
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        } catch (error) {
-          // Ignore
-        }
-        return { success: false, retry: true };
+      if (tree.success) {
+        logger.info('Rojo is serving the file, so the problem is between Rojo and Studio.');
+      } else {
+        logger.info('The file exists on disk, but Rojo did not sync it to Studio.');
       }
-
-      logger.warning('Sync verification failed.');
-      logger.info('You can continue, but manual verification is recommended.');
       logger.newline();
 
-      const continueAnyway = await prompt.confirm('Continue anyway?', false);
-
-      if (continueAnyway) {
-        return {
-          success: true,
-          data: {
-            syncVerified: false,
-            syncSkipped: true
-          }
-        };
-      }
-
-      return { success: false, retry: false };
+      return await offerRetry(testFilePath);
     }
 
     // SUCCESS!
@@ -261,11 +342,13 @@ module.exports = {
     logger.divider();
     logger.newline();
 
-    // Step 5: Cleanup
+    // Cleanup
     logger.info('Cleaning up test file...');
 
+    let removed = false;
     try {
       fs.unlinkSync(testFilePath);
+      removed = true;
       logger.success('✓ Test file removed');
     } catch (error) {
       logger.warning('Could not remove test file - you can delete it manually.');
@@ -273,6 +356,23 @@ module.exports = {
 
     logger.newline();
 
+    let removalSynced = null;
+
+    if (removed && tree.success) {
+      try {
+        removalSynced = await tree.watcher.waitUntil(watcher => !watcher.has(TEST_INSTANCE_NAME), SYNC_TIMEOUT);
+      } catch (error) {
+        removalSynced = false;
+      }
+
+      if (removalSynced) {
+        logger.success('✓ Rojo removed the test instance too');
+      } else {
+        logger.warning('Rojo still lists the test instance. Reconnect the Rojo plugin if it stays in Studio.');
+      }
+      logger.newline();
+    }
+
     logger.info('The test file has been removed from VS Code.');
     logger.info('It should also disappear from Studio automatically.');
     logger.newline();
@@ -285,7 +385,9 @@ module.exports = {
       data: {
         syncVerified: true,
         syncWorking: true,
-        endToEndConfirmed: true
+        endToEndConfirmed: true,
+        syncLatency,
+        syncRemovalConfirmed: removalSynced
       }
     };
   }
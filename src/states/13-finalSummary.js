@@ -14,13 +14,22 @@ const os = require('os');
 
 module.exports = {
   name: 'finalSummary',
-  order: 13,
+  order: 14,
+  requires: ['projectPath'],
+  provides: ['wizardCompleted'],
 
   async check(context) {
     // Never skip - always show summary
     return { found: false, canSkip: false };
   },
 
+  async plan(context, checkResult) {
+    return [
+      { type: 'start', target: 'code <project folder>', description: 'Open the project in VS Code', when: 'if you pick it from the menu' },
+      { type: 'open', target: 'https://rojo.space/docs/', description: 'Open the Rojo docs', when: 'if you pick it from the menu' }
+    ];
+  },
+
   async verify(context) {
     // Always verified
     return { verified: true, issues: [] };
@@ -99,7 +108,16 @@ module.exports = {
     }
 
     if (context.rojoRunning) {
-      installedTools.push(`Rojo Server - Running on port ${context.rojoPort}`);
+      const servers = context.rojoServers || [];
+
+      if (servers.length > 1) {
+        servers.forEach(server => {
+          installedTools.push(`Rojo Server - Serving ${server.projectFile} on port ${server.port}`);
+        });
+      } else {
+        const projectFile = servers.length === 1 ? servers[0].projectFile : 'default.project.json';
+        installedTools.push(`Rojo Server - Serving ${projectFile} on port ${context.rojoPort}`);
+      }
     }
 
     if (context.studioConnected) {
@@ -127,8 +145,16 @@ module.exports = {
       if (context.projectPath) {
         logger.info(`  Location: ${context.projectPath}`);
       }
-      if (context.rojoPort) {
-        logger.info(`  Rojo URL: http://localhost:${context.rojoPort}`);
+      if (context.rojoServers && context.rojoServers.length > 1) {
+        logger.info('  Rojo servers:');
+        context.rojoServers.forEach(server => {
+          logger.info(`    ${server.projectFile} - ${server.url || `http://localhost:${server.port}`}`);
+        });
+      } else if (context.rojoPort) {
+        logger.info(`  Rojo URL: http://${context.rojoHost || 'localhost'}:${context.rojoPort}`);
+      }
+      if (context.buildArtifact) {
+        logger.info(`  Place file: ${context.buildArtifact}`);
       }
       logger.newline();
       logger.divider();
@@ -314,7 +340,7 @@ module.exports = {
 
     if (context.rojoRunning) {
       logger.warning('NOTE: Rojo server is still running in the background.');
-      logger.info('It will stop when you close this wizard.');
+      logger.info('It keeps running after this wizard closes. Stop it with: yoblox-setup serve --stop');
       logger.newline();
     }
 
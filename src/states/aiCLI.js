@@ -14,15 +14,27 @@ const config = require('../config');
 
 module.exports = {
   name: 'aiCLI',
+  provides: ['aiAssistant'],
 
   async check(context) {
     // Check if user already successfully configured an AI CLI
     if (context.userChoices?.aiChoice && context.userChoices?.aiConfigured) {
-      return { found: true, canSkip: true };
+      return { found: true, canSkip: true, data: { aiAssistant: context.userChoices.aiChoice } };
     }
     return { found: false, canSkip: true };
   },
 
+  async plan(context, checkResult) {
+    return Object.values(config.AI_OPTIONS)
+      .filter(ai => ai.docsUrl)
+      .map(ai => ({
+        type: 'open',
+        target: ai.docsUrl,
+        description: `Open the ${ai.name} install docs`,
+        when: `if you choose ${ai.id} and it is not installed`
+      }));
+  },
+
   async run(context) {
     logger.header('AI Assistant CLI', 7, 9);
 
@@ -92,7 +104,8 @@ function handleSkipChoice(context) {
         ...context.userChoices,
         aiChoice: 'none',
         aiConfigured: true
-      }
+      },
+      aiAssistant: 'none'
     }
   };
 }
@@ -134,7 +147,8 @@ async function handleAiInstallation(aiId, context) {
           installedTools: {
             ...context.installedTools,
             aiCLI: aiId
-          }
+          },
+          aiAssistant: aiId
         }
       };
     }
@@ -13,10 +13,22 @@ const config = require('../config');
 
 module.exports = {
   name: 'git',
+  provides: ['gitInstalled'],
 
   async check(context) {
     const result = await validator.checkGit();
-    return { found: result.found, canSkip: true };
+    return { found: result.found, canSkip: true, data: { gitInstalled: result.found } };
+  },
+
+  async plan(context, checkResult) {
+    return [
+      {
+        type: 'open',
+        target: config.GIT_DOWNLOAD_URL,
+        description: checkResult.found ? 'Open the Git download page to update' : 'Open the Git download page',
+        when: checkResult.found ? 'if a newer Git is available and you accept' : 'if you choose to install Git'
+      }
+    ];
   },
 
   async run(context) {
@@ -45,7 +57,8 @@ module.exports = {
 
         const shouldUpdate = await prompt.confirm(
           `Would you like to update Git to ${updateInfo.latest}?`,
-          true
+          true,
+          { key: 'update' }
         );
 
         if (shouldUpdate) {
@@ -99,6 +112,7 @@ module.exports = {
             ...context.installedTools,
             git: true
           },
+          gitInstalled: true,
           gitVersion: updateInfo.current || checkResult.version
         }
       };
@@ -119,7 +133,8 @@ module.exports = {
           installedTools: {
             ...context.installedTools,
             git: false
-          }
+          },
+          gitInstalled: false
         }
       };
     }
@@ -155,7 +170,8 @@ module.exports = {
           installedTools: {
             ...context.installedTools,
             git: true
-          }
+          },
+          gitInstalled: true
         }
       };
     } else {
@@ -175,7 +191,8 @@ module.exports = {
             installedTools: {
               ...context.installedTools,
               git: false
-            }
+            },
+            gitInstalled: false
           }
         };
       }
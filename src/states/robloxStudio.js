@@ -13,12 +13,38 @@ const config = require('../config');
 
 module.exports = {
   name: 'robloxStudio',
+  // Only when Studio is found: setup goes on without it
+  provides: ['studioPath'],
 
   async check(context) {
     const result = await validator.checkRobloxStudio();
     return { found: result.found, canSkip: false };
   },
 
+  async plan(context, checkResult) {
+    if (!checkResult.found) {
+      return [
+        { type: 'open', target: config.ROBLOX_STUDIO_URL, description: 'Open the Roblox Studio download page' }
+      ];
+    }
+
+    const studio = await validator.checkRobloxStudio();
+    const ageInfo = versionChecker.checkStudioUpdateByAge(studio.path);
+
+    if (!ageInfo.needsUpdate) {
+      return [];
+    }
+
+    return [
+      {
+        type: 'download',
+        target: config.ROBLOX_STUDIO_INSTALLER_WIN,
+        description: `Download and launch the Studio installer (installed copy is ${ageInfo.daysSinceModified} days old)`,
+        when: 'if you accept the update'
+      }
+    ];
+  },
+
   async run(context) {
     logger.header('Roblox Studio', 1, 9);
 
@@ -163,7 +189,8 @@ module.exports = {
           installedTools: {
             ...context.installedTools,
             robloxStudio: true
-          }
+          },
+          studioPath: recheckResult.path
         }
       };
     } else {
@@ -10,12 +10,105 @@ const installer = require('../utils/installer');
 const prompt = require('../utils/prompt');
 const versionChecker = require('../utils/versionChecker');
 
+/**
+ * Upgrade a Rojo install that is older than config.MIN_VERSIONS.rojo.
+ * Older Rojo can't talk to the current Studio plugin, so setup can't
+ * continue until it is upgraded.
+ * @param {Object} checkResult - Result of validator.checkRojo()
+ * @param {Object} context - Wizard context
+ * @returns {Promise<Object>} State result
+ */
+async function upgradeOutdated(checkResult, context) {
+  logger.warning(`${checkResult.version} is installed, but Rojo ${checkResult.required} or newer is required.`);
+  logger.info('Older Rojo versions can\'t connect to the current Roblox Studio plugin.');
+  logger.newline();
+
+  // Automatic retries keep the answer given on the first attempt
+  const shouldUpgrade = context.rojoInstallAccepted ||
+    await prompt.confirm('Upgrade Rojo now via Cargo?', true, { key: 'upgrade' });
+
+  if (!shouldUpgrade) {
+    logger.error('Cannot continue with an outdated Rojo.');
+    logger.info('Upgrade it manually with: cargo install rojo');
+    return { success: false, retry: false };
+  }
+
+  logger.newline();
+  logger.warning('Upgrading Rojo. This will take 5-10 minutes...');
+  logger.newline();
+
+  const upgradeSuccess = await installer.installRojo();
+
+  if (!upgradeSuccess) {
+    logger.error('Failed to upgrade Rojo.');
+    logger.info('You can also upgrade manually: cargo install rojo');
+    return { success: false, retry: true, data: { rojoInstallAccepted: true } };
+  }
+
+  const recheckResult = await validator.checkRojo();
+
+  if (recheckResult.usable) {
+    logger.success(`✓ Rojo upgraded successfully! (${recheckResult.version})`);
+    logger.newline();
+
+    return {
+      success: true,
+      data: {
+        rojoInstalled: true,
+        rojoVersion: recheckResult.version,
+        rojoInstallAccepted: null
+      }
+    };
+  }
+
+  logger.error(`✗ ${recheckResult.version} is still the first rojo in PATH.`);
+  logger.newline();
+  logger.warning('Troubleshooting:');
+  logger.list([
+    'Another tool manager (Aftman, Foreman, Rokit) may provide an older rojo - update or remove it there',
+    'Check that %USERPROFILE%\\.cargo\\bin (~/.cargo/bin) comes first in PATH',
+    'Restart your terminal'
+  ]);
+  logger.newline();
+
+  const retry = await prompt.confirm('Try checking again?', true, { key: 'retry-upgrade' });
+  return { success: false, retry, data: { rojoInstallAccepted: null } };
+}
+
 module.exports = {
   name: 'rojo',
+  requires: ['rustVersion'],
+  provides: ['rojoVersion'],
+
+  // cargo install fails on flaky networks, so retry it automatically
+  retry: {
+    maxAttempts: 3,
+    delay: 5000,
+    backoff: 'exponential',
+    onExhausted: 'ask'
+  },
 
   async check(context) {
     const result = await validator.checkRojo();
-    return { found: result.found, canSkip: false };
+    return { found: result.found, usable: result.usable, version: result.version, required: result.required, canSkip: false };
+  },
+
+  async plan(context, checkResult) {
+    if (checkResult.found && !checkResult.usable) {
+      return [
+        { type: 'run', target: 'cargo install rojo', description: 'Upgrade Rojo (installed version is below the minimum)' }
+      ];
+    }
+
+    if (checkResult.found) {
+      return [
+        { type: 'run', target: 'cargo install rojo', description: 'Update Rojo', when: 'if a newer Rojo is available and you accept' }
+      ];
+    }
+
+    return [
+      { type: 'run', target: 'cargo install rojo', description: 'Build and install Rojo (5-10 minutes)' }
+    ];
   },
 
   async run(context) {
@@ -24,6 +117,10 @@ module.exports = {
     // Check if already installed
     const checkResult = await this.check(context);
 
+    if (checkResult.found && !checkResult.usable) {
+      return await upgradeOutdated(checkResult, context);
+    }
+
     if (checkResult.found) {
       logger.success(`✓ Rojo is already installed`);
       logger.newline();
@@ -44,7 +141,8 @@ module.exports = {
 
         const shouldUpdate = await prompt.confirm(
           `Would you like to update Rojo to ${updateInfo.latest}?`,
-          true
+          true,
+          { key: 'update' }
         );
 
         if (shouldUpdate) {
@@ -87,7 +185,9 @@ module.exports = {
     logger.info('We can install it now using Cargo.');
     logger.newline();
 
-    const shouldInstall = await prompt.confirm('Install Rojo via Cargo?', true);
+    // Automatic retries keep the answer given on the first attempt
+    const shouldInstall = context.rojoInstallAccepted ||
+      await prompt.confirm('Install Rojo via Cargo?', true, { key: 'install' });
 
     if (!shouldInstall) {
       logger.error('Cannot continue without Rojo.');
@@ -112,24 +212,20 @@ module.exports = {
         'Cargo not in PATH (restart terminal)',
         'Build dependencies missing'
       ]);
-
+      logger.info('You can also install manually: cargo install rojo');
       logger.newline();
 
-      const retry = await prompt.confirm('Try again?', true);
-
-      if (retry) {
-        return { success: false, retry: true };
-      } else {
-        logger.error('Cannot continue without Rojo.');
-        logger.info('Try installing manually: cargo install rojo');
-        return { success: false, retry: false };
-      }
+      return { success: false, retry: true, data: { rojoInstallAccepted: true } };
     }
 
     // Verify installation
     logger.info('Verifying Rojo installation...');
     const verifyResult = await validator.checkRojo();
 
+    if (verifyResult.found && !verifyResult.usable) {
+      return await upgradeOutdated(verifyResult, context);
+    }
+
     if (verifyResult.found) {
       logger.success(`✓ Rojo installed successfully! (${verifyResult.version})`);
 
@@ -139,17 +235,20 @@ module.exports = {
           installedTools: {
             ...context.installedTools,
             rojo: true
-          }
+          },
+          rojoInstalled: true,
+          rojoVersion: verifyResult.version,
+          rojoInstallAccepted: null
         }
       };
     } else {
       logger.error('✗ Rojo installed but not found in PATH.');
       logger.warning('You may need to restart your terminal.');
 
-      const retry = await prompt.confirm('Try checking again?', true);
+      const retry = await prompt.confirm('Try checking again?', true, { key: 'retry-path' });
 
       if (retry) {
-        return { success: false, retry: true };
+        return { success: false, retry: true, data: { rojoInstallAccepted: null } };
       } else {
         logger.error('Cannot continue without Rojo in PATH.');
         return { success: false, retry: false };
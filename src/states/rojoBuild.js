@@ -0,0 +1,191 @@
+/**
+ * Rojo Build State
+ *
+ * Optionally builds the project into a place (.rbxl) or model (.rbxm)
+ * file with `rojo build`, for backups, publishing or opening a fresh
+ * place. The file goes to the chosen build directory (build/ by default)
+ * with a timestamped snapshot next to it (see utils/rojoBuild). Later
+ * builds, and rebuilding on every change, are done with
+ * `yoblox-setup build [--watch]`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const prompt = require('../utils/prompt');
+const rojoBuild = require('../utils/rojoBuild');
+const rojoErrors = require('../utils/rojoErrors');
+const rojoServer = require('../utils/rojoServer');
+const config = require('../config');
+
+/**
+ * Ask which project file to build when more than one is served
+ * @param {Object} context - Wizard context
+ * @returns {Promise<string>} Project file
+ */
+async function chooseProjectFile(context) {
+  const files = context.rojoProjectFiles && context.rojoProjectFiles.length > 0
+    ? context.rojoProjectFiles
+    : rojoServer.findProjectFiles(context.projectPath);
+
+  if (files.length <= 1) {
+    return files[0] || rojoServer.DEFAULT_PROJECT_FILE;
+  }
+
+  return await prompt.select(
+    'Which project file should be built?',
+    files.map(file => ({ name: file, message: file })),
+    { key: 'build-project-file' }
+  );
+}
+
+module.exports = {
+  name: 'rojoBuild',
+  requires: ['projectPath', 'rojoVersion'],
+  provides: ['buildArtifact'],
+
+  // A failed build is usually a problem in the project, so try once more
+  // (time to save a fix) and then ask
+  retry: {
+    maxAttempts: 2,
+    delay: 5000,
+    backoff: 'fixed',
+    onExhausted: 'ask'
+  },
+
+  async check(context) {
+    if (context.buildArtifact && fs.existsSync(context.buildArtifact)) {
+      return { found: true, canSkip: true };
+    }
+
+    // Declined in an earlier run
+    return { found: false, canSkip: Boolean(context.buildSkipped) };
+  },
+
+  async plan(context, checkResult) {
+    const target = context.projectPath
+      ? path.join(rojoBuild.getBuildDir(context.projectPath, context.buildDir), rojoBuild.getArtifactName(context.projectPath))
+      : path.join('<project folder>', context.buildDir || config.BUILD.DIR, '<project name>.rbxl');
+
+    return [
+      {
+        type: 'write',
+        target,
+        description: `Build a place file with rojo build, plus a timestamped copy in ${config.BUILD.SNAPSHOT_DIR}/`,
+        when: 'if you choose to build one'
+      }
+    ];
+  },
+
+  async verify(context) {
+    if (context.buildSkipped) {
+      return { verified: true, issues: [] };
+    }
+
+    if (context.buildArtifact && fs.existsSync(context.buildArtifact)) {
+      return { verified: true, issues: [] };
+    }
+
+    return { verified: false, issues: ['Build file not found'] };
+  },
+
+  async run(context) {
+    logger.header('Build a Place File (Optional)', 13, 14);
+
+    const projectPath = context.projectPath;
+
+    // A retry after a failed build reuses the answers
+    let { projectFile, buildDir } = context.pendingBuild || {};
+
+    if (projectFile) {
+      logger.info(`Building ${projectFile} into ${buildDir} again.`);
+      logger.newline();
+    } else {
+      logger.info('Rojo can also build your project into a file:');
+      logger.list([
+        'A place file (.rbxl) you can open in Studio or publish',
+        'A backup of the game as it is on disk right now'
+      ]);
+      logger.newline();
+
+      const shouldBuild = await prompt.confirm('Build a place file now?', true, { key: 'build' });
+      logger.newline();
+
+      if (!shouldBuild) {
+        logger.info('Skipped. Build one any time with: yoblox-setup build');
+        logger.newline();
+        return { success: true, data: { buildSkipped: true } };
+      }
+
+      projectFile = await chooseProjectFile(context);
+
+      buildDir = await prompt.input(
+        'Build directory (relative to the project folder):',
+        context.buildDir || config.BUILD.DIR,
+        null,
+        { key: 'build-dir' }
+      );
+      logger.newline();
+    }
+
+    logger.info(`Building ${projectFile}...`);
+
+    const result = await rojoBuild.build({ projectPath, projectFile, outDir: buildDir });
+
+    if (!result.success) {
+      logger.error(`Build failed: ${result.error}`);
+
+      const diagnosis = rojoErrors.diagnose(result.output, projectPath, projectFile);
+      if (diagnosis) {
+        logger.info(diagnosis.title);
+        logger.list(diagnosis.fixes);
+      } else if (result.output) {
+        logger.info(result.output);
+      }
+      logger.newline();
+
+      // The retry policy tries again, then asks whether to skip the build
+      return {
+        success: false,
+        retry: true,
+        data: { pendingBuild: { projectFile, buildDir } }
+      };
+    }
+
+    const saved = rojoBuild.snapshot(result.artifact);
+
+    logger.success(`✓ Built ${path.relative(projectPath, result.artifact)}`);
+    if (saved.file) {
+      logger.info(`  • Snapshot: ${path.relative(projectPath, saved.file)} (the newest ${config.BUILD.KEEP_SNAPSHOTS} are kept)`);
+    }
+    logger.newline();
+
+    // The command for the same project file and directory, from any folder
+    const target = projectFile === rojoServer.DEFAULT_PROJECT_FILE
+      ? path.resolve(projectPath)
+      : path.resolve(projectPath, projectFile);
+    const quote = file => (file.includes(' ') ? `"${file}"` : file);
+    const command = ['yoblox-setup build', quote(target)];
+
+    // --out is relative to the project file's folder, which differs for a
+    // project file in a subfolder
+    if (buildDir !== config.BUILD.DIR || path.dirname(projectFile) !== '.') {
+      command.push(`--out ${quote(rojoBuild.getBuildDir(projectPath, buildDir))}`);
+    }
+
+    logger.info(`Build again with ${command.join(' ')}, or keep rebuilding on every change with:`);
+    logger.info(`  ${command.join(' ')} --watch`);
+    logger.newline();
+
+    return {
+      success: true,
+      data: {
+        buildArtifact: result.artifact,
+        buildDir,
+        buildProjectFile: projectFile,
+        buildSkipped: false,
+        pendingBuild: null
+      }
+    };
+  }
+};
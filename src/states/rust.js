@@ -12,12 +12,95 @@ const versionChecker = require('../utils/versionChecker');
 const system = require('../utils/system');
 const config = require('../config');
 
+/**
+ * Upgrade a Rust install that is older than config.MIN_VERSIONS. Setup
+ * can't continue until it is upgraded.
+ * @param {Object} context - Wizard context
+ * @param {Object} checkResult - Result of validator.checkRust()
+ * @returns {Promise<Object>} State result
+ */
+async function upgradeOutdated(context, checkResult) {
+  logger.warning('Rust is installed but too old for Rojo:');
+  for (const { tool, version, required } of checkResult.outdated) {
+    logger.info(`  ${tool}: ${version} installed, ${required} or newer required`);
+  }
+  logger.newline();
+
+  const shouldUpgrade = await prompt.confirm('Upgrade Rust now with rustup update?', true, { key: 'upgrade' });
+
+  if (!shouldUpgrade) {
+    logger.error('Cannot continue with an outdated Rust.');
+    logger.info('Upgrade it manually with: rustup update');
+    return { success: false, retry: false };
+  }
+
+  logger.newline();
+  logger.info('Updating Rust via rustup...');
+  logger.info('This will take a few minutes...');
+  logger.newline();
+
+  await installer.runCommand('rustup', ['update']);
+  const recheckResult = await validator.checkRust();
+
+  if (recheckResult.usable) {
+    logger.newline();
+    logger.success('✓ Rust upgraded successfully!');
+    logger.info(`  rustc: ${recheckResult.rustc}`);
+    logger.info(`  cargo: ${recheckResult.cargo}`);
+    logger.newline();
+
+    return {
+      success: true,
+      data: {
+        installedTools: {
+          ...context.installedTools,
+          rust: true,
+          cargo: true
+        },
+        rustVersion: recheckResult.rustc
+      }
+    };
+  }
+
+  logger.error('✗ Rust is still older than required.');
+  logger.newline();
+  logger.warning('Troubleshooting:');
+  logger.list([
+    'Run rustup update manually and check its output',
+    'If Rust was installed without rustup (e.g. a system package), remove it and install rustup',
+    'Restart your terminal so the new version is first in PATH'
+  ]);
+  logger.newline();
+
+  const retry = await prompt.confirm('Try again?', true, { key: 'retry-upgrade' });
+  return { success: false, retry };
+}
+
 module.exports = {
   name: 'rust',
+  provides: ['rustVersion'],
 
   async check(context) {
     const result = await validator.checkRust();
-    return { found: result.found, canSkip: false };
+    return { found: result.found, usable: result.usable, canSkip: false };
+  },
+
+  async plan(context, checkResult) {
+    if (checkResult.found && !checkResult.usable) {
+      return [
+        { type: 'run', target: 'rustup update', description: 'Upgrade Rust (installed version is below the minimum)' }
+      ];
+    }
+
+    if (checkResult.found) {
+      return [
+        { type: 'run', target: 'rustup update', description: 'Update Rust', when: 'if a newer Rust is available and you accept' }
+      ];
+    }
+
+    return [
+      { type: 'open', target: config.RUSTUP_URL, description: 'Open the rustup installer page' }
+    ];
   },
 
   async run(context) {
@@ -26,6 +109,10 @@ module.exports = {
     // Check if already installed
     const checkResult = await validator.checkRust();
 
+    if (checkResult.found && !checkResult.usable) {
+      return await upgradeOutdated(context, checkResult);
+    }
+
     if (checkResult.found) {
       logger.success(`✓ Rust is already installed`);
       logger.newline();
@@ -46,7 +133,8 @@ module.exports = {
 
         const shouldUpdate = await prompt.confirm(
           `Would you like to update Rust to ${updateInfo.latest}?`,
-          true
+          true,
+          { key: 'update' }
         );
 
         if (shouldUpdate) {
@@ -144,6 +232,10 @@ module.exports = {
     logger.info('Checking for Rust and Cargo...');
     const recheckResult = await validator.checkRust();
 
+    if (recheckResult.found && !recheckResult.usable) {
+      return await upgradeOutdated(context, recheckResult);
+    }
+
     if (recheckResult.found) {
       logger.success('✓ Rust and Cargo detected!');
       logger.info(`  rustc: ${recheckResult.rustc}`);
@@ -156,7 +248,8 @@ module.exports = {
             ...context.installedTools,
             rust: true,
             cargo: true
-          }
+          },
+          rustVersion: recheckResult.rustc
         }
       };
     } else {
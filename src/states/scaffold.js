@@ -20,6 +20,15 @@ const GITHUB_CODELOAD_URL = `https://codeload.github.com/${GITHUB_REPO}/zip/refs
 
 module.exports = {
   name: 'scaffold',
+  provides: ['projectName', 'projectPath'],
+
+  // Failed downloads and project setup are retried automatically with backoff
+  retry: {
+    maxAttempts: 4,
+    delay: 2000,
+    backoff: 'exponential',
+    onExhausted: 'ask'
+  },
 
   async check(context) {
     // Check if project already created
@@ -29,6 +38,23 @@ module.exports = {
     return { found: false, canSkip: false };
   },
 
+  async plan(context, checkResult) {
+    const projectName = context.pendingProjectName || '<project name>';
+
+    return [
+      {
+        type: 'download',
+        target: GITHUB_CODELOAD_URL,
+        description: `Download the yoblox template to ${path.join(os.tmpdir(), 'yoblox-setup-*')}`
+      },
+      {
+        type: 'write',
+        target: path.join(process.cwd(), projectName),
+        description: 'Create the project folder from the template'
+      }
+    ];
+  },
+
   async run(context) {
     logger.header('Create Your Project', 8, 9);
 
@@ -36,11 +62,15 @@ module.exports = {
     logger.info('We will download the yoblox template from GitHub and set it up for you.');
     logger.newline();
 
-    // Ask for project name
-    let projectName = '';
-    let validationResult;
+    // Ask for project name (a retry after a failed download reuses it)
+    let projectName = context.pendingProjectName || '';
+    let validationResult = projectName ? validator.validateProjectName(projectName) : { valid: false };
 
-    do {
+    if (validationResult.valid) {
+      logger.info(`Using project name: ${projectName}`);
+    }
+
+    while (!validationResult.valid) {
       projectName = await prompt.input(
         'What do you want to name your project?',
         'my-roblox-game'
@@ -52,7 +82,7 @@ module.exports = {
         logger.error(`Invalid project name: ${validationResult.reason}`);
         logger.newline();
       }
-    } while (!validationResult.valid);
+    }
 
     logger.newline();
     logger.info(`Creating project: ${projectName}`);
@@ -67,12 +97,11 @@ module.exports = {
 
       if (!downloaded) {
         logger.error('Failed to download yoblox template from GitHub.');
-        const retry = await prompt.confirm('Try again?', true);
-        if (retry) {
-          return { success: false, retry: true };
-        } else {
-          return { success: false, retry: false };
-        }
+        return {
+          success: false,
+          retry: true,
+          data: { pendingProjectName: projectName }
+        };
       }
 
       // Step 2: Extract and setup project
@@ -85,12 +114,11 @@ module.exports = {
 
       if (!extractSuccess) {
         logger.error('Failed to setup project.');
-        const retry = await prompt.confirm('Try again?', true);
-        if (retry) {
-          return { success: false, retry: true };
-        } else {
-          return { success: false, retry: false };
-        }
+        return {
+          success: false,
+          retry: true,
+          data: { pendingProjectName: projectName }
+        };
       }
 
       // Success!
@@ -107,19 +135,19 @@ module.exports = {
         success: true,
         data: {
           projectName,
-          projectPath
+          projectPath,
+          pendingProjectName: null
         }
       };
     } catch (error) {
       logger.error(`Error creating project: ${error.message}`);
 
-      const retry = await prompt.confirm('Try again?', true);
-
-      if (retry) {
-        return { success: false, retry: true };
-      } else {
-        return { success: false, retry: false };
-      }
+      // The retry policy retries, then asks once attempts run out
+      return {
+        success: false,
+        retry: true,
+        data: { pendingProjectName: projectName }
+      };
     }
   }
 };
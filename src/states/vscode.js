@@ -13,10 +13,22 @@ const config = require('../config');
 
 module.exports = {
   name: 'vscode',
+  // Only when VS Code is found: setup goes on without it
+  provides: ['vscodeVersion'],
 
   async check(context) {
     const result = await validator.checkVSCode();
-    return { found: result.found, canSkip: false };
+    return { found: result.found, version: result.version, canSkip: false };
+  },
+
+  async plan(context, checkResult) {
+    if (checkResult.found) {
+      return [];
+    }
+
+    return [
+      { type: 'open', target: config.VSCODE_DOWNLOAD_URL, description: 'Open the VS Code download page' }
+    ];
   },
 
   async run(context) {
@@ -33,7 +45,8 @@ module.exports = {
           installedTools: {
             ...context.installedTools,
             vscode: true
-          }
+          },
+          vscodeVersion: checkResult.version
         }
       };
     }
@@ -91,7 +104,8 @@ module.exports = {
           installedTools: {
             ...context.installedTools,
             vscode: true
-          }
+          },
+          vscodeVersion: recheckResult.version
         }
       };
     } else {
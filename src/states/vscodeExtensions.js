@@ -13,6 +13,7 @@ const config = require('../config');
 
 module.exports = {
   name: 'vscodeExtensions',
+  provides: ['vscodeExtensions'],
 
   async check(context) {
     // Check if VS Code is installed
@@ -30,13 +31,38 @@ module.exports = {
     return { found: allInstalled, canSkip: false };
   },
 
+  async plan(context, checkResult) {
+    const actions = [];
+
+    for (const extension of config.VSCODE_EXTENSIONS) {
+      const installed = await validator.checkVSCodeExtension(extension.id);
+
+      if (installed.found) {
+        actions.push({
+          type: 'run',
+          target: `code --install-extension ${extension.id}`,
+          description: `Update ${extension.name}`,
+          when: 'if an update is available and you accept'
+        });
+      } else {
+        actions.push({
+          type: 'run',
+          target: `code --install-extension ${extension.id}`,
+          description: `Install ${extension.name}`
+        });
+      }
+    }
+
+    return actions;
+  },
+
   async run(context) {
     logger.header('VS Code Extensions', 6, 9);
 
     // Skip if VS Code not installed
     if (!context.installedTools?.vscode) {
       logger.warning('VS Code not installed. Skipping extensions.');
-      return { success: true, skip: true };
+      return { success: true, skip: true, data: { vscodeExtensions: [] } };
     }
 
     logger.info('Checking VS Code extensions for Luau development.');
@@ -106,7 +132,7 @@ module.exports = {
         logger.newline();
 
         for (const { extension } of extensionsWithUpdates) {
-          const success = await installer.installVSCodeExtension(extension.id);
+          const success = await installer.installVSCodeExtension(extension.id, { force: true });
           if (success) {
             logger.success(`✓ ${extension.name} updated!`);
           } else {
@@ -133,7 +159,8 @@ module.exports = {
           installedTools: {
             ...context.installedTools,
             vscodeExtensions: installedExtensions
-          }
+          },
+          vscodeExtensions: installedExtensions
         }
       };
     } else {
@@ -152,7 +179,8 @@ module.exports = {
           installedTools: {
             ...context.installedTools,
             vscodeExtensions: installedExtensions
-          }
+          },
+          vscodeExtensions: installedExtensions
         }
       };
     }
@@ -11,6 +11,7 @@ const config = require('../config');
 
 module.exports = {
   name: 'welcome',
+  provides: ['os', 'shell', 'nodeVersion'],
 
   async check(context) {
     // Welcome state always runs
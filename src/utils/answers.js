@@ -0,0 +1,156 @@
+/**
+ * Answers File Utility
+ *
+ * Loads an answers file (JSON or YAML) and turns it into a prompt handler
+ * so the wizard can run unattended. Answers are looked up by question key,
+ * either flat ("welcome.ready-to-begin-setup": true) or nested by state:
+ *
+ *   welcome:
+ *     ready-to-begin-setup: true
+ *   scaffold:
+ *     what-do-you-want-to-name-your-project: my-game
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Load and parse an answers file
+ * @param {string} filePath - Path to .json, .yaml or .yml file
+ * @returns {Object} Parsed answers
+ */
+function load(filePath) {
+  let raw;
+
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read answers file ${filePath}: ${error.message}`);
+  }
+
+  let answers;
+
+  try {
+    const ext = path.extname(filePath).toLowerCase();
+    answers = ext === '.yaml' || ext === '.yml' ? yaml.load(raw) : JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Could not parse answers file ${filePath}: ${error.message}`);
+  }
+
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new Error(`Answers file ${filePath} must contain an object of question keys`);
+  }
+
+  return answers;
+}
+
+/**
+ * Look up the answer for a question
+ * @param {Object} answers - Parsed answers
+ * @param {Object} question - Question from the prompt module
+ * @returns {Object} { found, value }
+ */
+function lookup(answers, question) {
+  if (Object.prototype.hasOwnProperty.call(answers, question.key)) {
+    return { found: true, value: answers[question.key] };
+  }
+
+  // Nested form: { <scope>: { <key>: value } }
+  if (question.scope) {
+    const base = question.key.slice(question.scope.length + 1);
+    const section = answers[question.scope];
+
+    if (section && typeof section === 'object' && Object.prototype.hasOwnProperty.call(section, base)) {
+      return { found: true, value: section[base] };
+    }
+  }
+
+  return { found: false, value: undefined };
+}
+
+/**
+ * Check an answer against the question type and return the value to use
+ * @param {Object} question - Question from the prompt module
+ * @param {*} value - Answer from the file
+ * @returns {Promise<*>} Answer value
+ */
+async function coerce(question, value) {
+  const fail = (reason) => {
+    throw new Error(`Invalid answer for "${question.key}" (${question.message}): ${reason}`);
+  };
+
+  // "Go back" is always a valid answer where the prompt offered it
+  if (question.backAnswer !== undefined && value === question.backAnswer) {
+    return value;
+  }
+
+  switch (question.type) {
+    case 'confirm':
+      if (typeof value !== 'boolean') {
+        fail('expected true or false');
+      }
+      return value;
+
+    case 'select': {
+      const names = question.choices.map(choice => choice.name);
+      if (!names.includes(value)) {
+        fail(`expected one of ${names.join(', ')}`);
+      }
+      return value;
+    }
+
+    case 'multiselect': {
+      const names = question.choices.map(choice => choice.name);
+      if (!Array.isArray(value) || value.some(item => !names.includes(item))) {
+        fail(`expected a list containing only ${names.join(', ')}`);
+      }
+      return value;
+    }
+
+    case 'input':
+    case 'password': {
+      const text = value === null ? '' : String(value);
+      if (question.validate) {
+        const valid = await question.validate(text);
+        if (valid !== true) {
+          fail(typeof valid === 'string' ? valid : 'rejected by validation');
+        }
+      }
+      return text;
+    }
+
+    default:
+      // pressEnterToContinue - any value acknowledges the step
+      return undefined;
+  }
+}
+
+/**
+ * Create a prompt handler backed by an answers object
+ * @param {Object} answers - Parsed answers
+ * @param {string} source - Where the answers came from (for error messages)
+ * @returns {Function} Prompt handler
+ */
+function createHandler(answers, source = 'answers file') {
+  return async (question) => {
+    const { found, value } = lookup(answers, question);
+
+    if (!found) {
+      throw new Error(
+        `No answer for "${question.key}" in ${source}.\n` +
+        `  Question: ${question.message || '(press Enter)'}\n` +
+        `  Add "${question.key}" to the answers file to continue.`
+      );
+    }
+
+    return coerce(question, value);
+  };
+}
+
+module.exports = {
+  load,
+  lookup,
+  coerce,
+  createHandler
+};
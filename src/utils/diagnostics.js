@@ -11,6 +11,7 @@ const path = require('path');
 const logger = require('./logger');
 const validator = require('./validator');
 const system = require('./system');
+const config = require('../config');
 
 /**
  * Generate a comprehensive diagnostic report
@@ -71,7 +72,8 @@ function getEnvironmentInfo() {
 }
 
 /**
- * Check which tools are installed
+ * Check which tools are installed. Rust, Cargo and Rojo carry a `usable`
+ * flag that is false when they are older than config.MIN_VERSIONS.
  * @returns {Promise<Object>} Installed tools status
  */
 async function checkInstalledTools() {
@@ -366,9 +368,10 @@ function printReport(report) {
 
   logger.info('Installed Tools:');
   for (const [tool, status] of Object.entries(report.installedTools)) {
-    const symbol = status.found ? '✓' : '✗';
+    const symbol = status.found && status.usable !== false ? '✓' : '✗';
     const version = status.version ? ` (${status.version})` : '';
-    logger.info(`  ${symbol} ${tool}${version}`);
+    const tooOld = status.found && status.usable === false ? ' - too old, needs an upgrade' : '';
+    logger.info(`  ${symbol} ${tool}${version}${tooOld}`);
   }
   logger.newline();
 
@@ -420,10 +423,10 @@ async function checkSystemRequirements() {
   };
 
   // Check Node version
-  const nodeVersion = process.version.slice(1); // Remove 'v' prefix
-  if (!validator.compareVersions(nodeVersion, '14.0.0')) {
+  const nodeVersion = system.getNodeVersion();
+  if (!system.isNodeVersionValid(nodeVersion, config.MIN_VERSIONS.node)) {
     requirements.met = false;
-    requirements.issues.push(`Node.js version ${nodeVersion} is too old. Need 14.0.0 or higher.`);
+    requirements.issues.push(`Node.js version ${nodeVersion} is too old. Need ${config.MIN_VERSIONS.node} or higher.`);
   }
 
   // Check disk space
@@ -136,13 +136,20 @@ async function runCommandSilent(command, args = []) {
 /**
  * Install a VS Code extension
  * @param {string} extensionId - Extension ID
+ * @param {Object} options - Options
+ * @param {boolean} options.force - Reinstall even if installed (updates it)
  * @returns {Promise<boolean>} Success flag
  */
-async function installVSCodeExtension(extensionId) {
+async function installVSCodeExtension(extensionId, options = {}) {
   const spin = logger.spinner(`Installing ${extensionId}...`).start();
 
   try {
-    const result = await runCommandSilent('code', ['--install-extension', extensionId]);
+    const args = ['--install-extension', extensionId];
+    if (options.force) {
+      args.push('--force');
+    }
+
+    const result = await runCommandSilent('code', args);
 
     if (result.success) {
       spin.succeed(`Installed ${extensionId}`);
@@ -351,7 +358,7 @@ async function downloadAndInstallStudio() {
     logger.newline();
 
     // Download URL for latest Studio
-    const studioUrl = 'https://setup.rbxcdn.com/RobloxStudioInstaller.exe';
+    const studioUrl = config.ROBLOX_STUDIO_INSTALLER_WIN;
     const tempDir = path.join(os.tmpdir(), 'yoblox-setup');
     const installerPath = path.join(tempDir, 'RobloxStudioInstaller.exe');
 
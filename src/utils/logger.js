@@ -3,6 +3,10 @@
  *
  * Provides consistent, colorful output with spinners, progress bars,
  * and formatted messages.
+ *
+ * Front ends other than the terminal can install a sink with setSink();
+ * every message is then passed to the sink as { level, message, ... }
+ * instead of being printed.
  */
 
 const chalk = require('chalk');
@@ -10,11 +14,48 @@ const boxen = require('boxen');
 const ora = require('ora');
 const cliProgress = require('cli-progress');
 
+// Optional function receiving log entries instead of the console
+let sink = null;
+
+/**
+ * Send log entries to a function instead of the console
+ * @param {Function|null} fn - (entry) => void, or null to print again
+ */
+function setSink(fn) {
+  sink = fn;
+}
+
+/**
+ * Get the installed log sink
+ * @returns {Function|null} Sink, or null when logging to the console
+ */
+function getSink() {
+  return sink;
+}
+
+/**
+ * Pass an entry to the sink if one is installed
+ * @param {Object} entry - Log entry with level and message
+ * @returns {boolean} True if the sink handled it
+ */
+function toSink(entry) {
+  if (!sink) {
+    return false;
+  }
+
+  sink(entry);
+  return true;
+}
+
 /**
  * Print info message
  * @param {string} message - Message to print
  */
 function info(message) {
+  if (toSink({ level: 'info', message })) {
+    return;
+  }
+
   console.log(chalk.blue('ℹ'), message);
 }
 
@@ -23,6 +64,10 @@ function info(message) {
  * @param {string} message - Message to print
  */
 function success(message) {
+  if (toSink({ level: 'success', message })) {
+    return;
+  }
+
   console.log(chalk.green('✓'), message);
 }
 
@@ -31,6 +76,10 @@ function success(message) {
  * @param {string} message - Message to print
  */
 function warning(message) {
+  if (toSink({ level: 'warning', message })) {
+    return;
+  }
+
   console.log(chalk.yellow('⚠'), message);
 }
 
@@ -39,15 +88,89 @@ function warning(message) {
  * @param {string} message - Message to print
  */
 function error(message) {
+  if (toSink({ level: 'error', message })) {
+    return;
+  }
+
   console.log(chalk.red('✗'), message);
 }
 
+/**
+ * Spinner stand-in that reports to the sink
+ * @param {string} text - Spinner text
+ * @returns {Object} Object with the ora methods the wizard uses
+ */
+function sinkSpinner(text) {
+  const spin = {
+    text,
+    start() {
+      toSink({ level: 'spinner', message: spin.text });
+      return spin;
+    },
+    succeed(message) {
+      toSink({ level: 'success', message: message || spin.text });
+      return spin;
+    },
+    fail(message) {
+      toSink({ level: 'error', message: message || spin.text });
+      return spin;
+    },
+    warn(message) {
+      toSink({ level: 'warning', message: message || spin.text });
+      return spin;
+    },
+    info(message) {
+      toSink({ level: 'info', message: message || spin.text });
+      return spin;
+    },
+    stop() {
+      return spin;
+    }
+  };
+
+  return spin;
+}
+
+/**
+ * Progress bar stand-in that reports to the sink
+ * @returns {Object} Object with the cli-progress methods the wizard uses
+ */
+function sinkProgressBar() {
+  let total = 0;
+  let value = 0;
+  let label = '';
+
+  const report = () => toSink({ level: 'progress', message: label, value, total });
+
+  return {
+    start(newTotal, startValue = 0, payload = {}) {
+      total = newTotal;
+      value = startValue;
+      label = payload.label || '';
+      report();
+    },
+    update(newValue) {
+      value = newValue;
+      report();
+    },
+    increment(delta = 1) {
+      value += delta;
+      report();
+    },
+    stop() {}
+  };
+}
+
 /**
  * Create a spinner
  * @param {string} text - Spinner text
  * @returns {Object} Spinner instance
  */
 function spinner(text) {
+  if (sink) {
+    return sinkSpinner(text);
+  }
+
   return ora({
     text,
     color: 'cyan'
@@ -60,6 +183,10 @@ function spinner(text) {
  * @param {Object} options - Boxen options
  */
 function box(message, options = {}) {
+  if (toSink({ level: 'box', message })) {
+    return;
+  }
+
   const defaultOptions = {
     padding: 1,
     margin: 1,
@@ -77,6 +204,10 @@ function box(message, options = {}) {
  * @returns {Object} Progress bar instance
  */
 function progressBar(options = {}) {
+  if (sink) {
+    return sinkProgressBar();
+  }
+
   const defaultOptions = {
     format: '{bar} {percentage}% | {value}/{total} | {label}',
     barCompleteChar: '\u2588',
@@ -95,6 +226,10 @@ function progressBar(options = {}) {
  * @param {number} total - Total steps
  */
 function header(text, current, total) {
+  if (toSink({ level: 'header', message: text, current, total })) {
+    return;
+  }
+
   const prefix = current && total ? `[${current}/${total}]` : '';
   console.log('\n' + chalk.bold.cyan('━'.repeat(60)));
   console.log(chalk.bold.white(`${prefix} ${text}`));
@@ -105,6 +240,10 @@ function header(text, current, total) {
  * Print a blank line
  */
 function newline() {
+  if (toSink({ level: 'newline', message: '' })) {
+    return;
+  }
+
   console.log('');
 }
 
@@ -112,6 +251,10 @@ function newline() {
  * Print a divider
  */
 function divider() {
+  if (toSink({ level: 'divider', message: '' })) {
+    return;
+  }
+
   console.log(chalk.gray('─'.repeat(60)));
 }
 
@@ -122,6 +265,10 @@ function divider() {
  * @param {string} text - Step description
  */
 function step(current, total, text) {
+  if (toSink({ level: 'step', message: text, current, total })) {
+    return;
+  }
+
   console.log(chalk.bold(`\n[${current}/${total}]`), text);
 }
 
@@ -129,6 +276,10 @@ function step(current, total, text) {
  * Clear the console
  */
 function clear() {
+  if (toSink({ level: 'clear', message: '' })) {
+    return;
+  }
+
   console.clear();
 }
 
@@ -138,6 +289,10 @@ function clear() {
  * @param {string} symbol - Symbol to use (default: bullet)
  */
 function list(items, symbol = '•') {
+  if (toSink({ level: 'list', message: items.join('\n'), items })) {
+    return;
+  }
+
   items.forEach(item => {
     console.log(`  ${chalk.cyan(symbol)} ${item}`);
   });
@@ -148,6 +303,10 @@ function list(items, symbol = '•') {
  * @param {string} command - Command to display
  */
 function command(command) {
+  if (toSink({ level: 'command', message: command })) {
+    return;
+  }
+
   console.log(chalk.gray('$'), chalk.white(command));
 }
 
@@ -156,11 +315,26 @@ function command(command) {
  * @param {string} message - Debug message
  */
 function debug(message) {
-  if (process.env.DEBUG) {
+  if (process.env.DEBUG && !toSink({ level: 'debug', message })) {
     console.log(chalk.gray('[DEBUG]'), message);
   }
 }
 
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "12.3 KB"
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
 module.exports = {
   info,
   success,
@@ -176,5 +350,8 @@ module.exports = {
   clear,
   list,
   command,
-  debug
+  debug,
+  formatSize,
+  setSink,
+  getSink
 };
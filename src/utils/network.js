@@ -3,12 +3,22 @@
  *
  * Provides port checking, availability testing, and connection
  * verification for the Rojo server and other network operations.
+ *
+ * getPortOwner() finds the process listening on a port with the tool each
+ * OS has: netstat and tasklist on Windows, lsof on macOS, ss (or lsof) on
+ * Linux.
+ *
+ * getLanAddresses() lists the addresses other machines (or Windows, from
+ * WSL) can use to reach a server on this machine.
  */
 
+const fs = require('fs');
 const net = require('net');
 const http = require('http');
 const https = require('https');
+const { execSync } = require('child_process');
 const logger = require('./logger');
+const system = require('./system');
 
 /**
  * Check if a port is open (listening)
@@ -185,6 +195,30 @@ function getNetworkInterfaces() {
   return result;
 }
 
+/**
+ * Get the IPv4 addresses other machines can reach this one on (LAN, and
+ * from Windows when running in WSL)
+ * @returns {Array<Object>} Interfaces with name and address
+ */
+function getLanAddresses() {
+  return getNetworkInterfaces()
+    .filter(entry => entry.family === 'IPv4' || entry.family === 4)
+    .map(entry => ({ name: entry.name, address: entry.address }));
+}
+
+/**
+ * Check if an address belongs to this machine (so a server can bind to it)
+ * @param {string} address - IP address or host name
+ * @returns {boolean} True for localhost, 0.0.0.0 and the interface addresses
+ */
+function isLocalAddress(address) {
+  if (['localhost', '127.0.0.1', '::1', '0.0.0.0', '::'].includes(address)) {
+    return true;
+  }
+
+  return getNetworkInterfaces().some(entry => entry.address === address);
+}
+
 /**
  * Check if system has internet connectivity
  * @param {Array<string>} testUrls - URLs to test (default: common DNS servers)
@@ -242,6 +276,143 @@ async function getOccupiedPorts(startPort, endPort) {
   return occupied;
 }
 
+/**
+ * Run a command and return its output
+ * @param {string} command - Command line
+ * @returns {string|null} Output or null if the command failed
+ */
+function tryExec(command) {
+  try {
+    return execSync(command, { encoding: 'utf8', stdio: 'pipe', timeout: 5000 });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find the PID listening on a port on Windows (netstat)
+ * @param {number} port - Port number
+ * @returns {Object|null} Owner with pid and name, or null
+ */
+function getWindowsPortOwner(port) {
+  const output = tryExec('netstat -ano -p tcp');
+  if (!output) {
+    return null;
+  }
+
+  // "  TCP    0.0.0.0:34872    0.0.0.0:0    LISTENING    1234"
+  const line = output.split(/\r?\n/).find(entry => {
+    const columns = entry.trim().split(/\s+/);
+    return columns[3] === 'LISTENING' && columns[1].endsWith(`:${port}`);
+  });
+
+  if (!line) {
+    return null;
+  }
+
+  const pid = parseInt(line.trim().split(/\s+/)[4], 10);
+
+  // "rojo.exe","1234","Console","1","12,345 K"
+  const task = tryExec(`tasklist /FI "PID eq ${pid}" /FO CSV /NH`);
+  const match = task && task.match(/^"([^"]+)"/);
+
+  return { pid, name: match ? match[1] : null };
+}
+
+/**
+ * Find the PID listening on a port with lsof (macOS, Linux)
+ * @param {number} port - Port number
+ * @returns {Object|null} Owner with pid and name, or null
+ */
+function getLsofPortOwner(port) {
+  const output = tryExec(`lsof -nP -iTCP:${port} -sTCP:LISTEN -Fpc`);
+  if (!output) {
+    return null;
+  }
+
+  // Field output: "p1234" then "crojo"
+  const pid = output.match(/^p(\d+)$/m);
+  const name = output.match(/^c(.+)$/m);
+
+  return pid ? { pid: parseInt(pid[1], 10), name: name ? name[1] : null } : null;
+}
+
+/**
+ * Find the PID listening on a port with ss (Linux)
+ * @param {number} port - Port number
+ * @returns {Object|null} Owner with pid and name, or null
+ */
+function getSsPortOwner(port) {
+  const output = tryExec(`ss -ltnpH "sport = :${port}"`);
+  if (!output) {
+    return null;
+  }
+
+  // users:(("rojo",pid=1234,fd=9))
+  const match = output.match(/\(\("([^"]+)",pid=(\d+)/);
+
+  return match ? { pid: parseInt(match[2], 10), name: match[1] } : null;
+}
+
+/**
+ * Get the command line and working directory of a process, where the OS
+ * makes them available
+ * @param {number} pid - Process ID
+ * @returns {Object} Details with command and cwd (null when unknown)
+ */
+function getProcessDetails(pid) {
+  const os = system.getOS();
+
+  if (os === 'linux') {
+    try {
+      return {
+        command: fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0').filter(Boolean).join(' '),
+        cwd: fs.readlinkSync(`/proc/${pid}/cwd`)
+      };
+    } catch (error) {
+      return { command: null, cwd: null };
+    }
+  }
+
+  if (os === 'macos') {
+    const command = tryExec(`ps -o command= -p ${pid}`);
+    const cwd = tryExec(`lsof -a -p ${pid} -d cwd -Fn`);
+    const cwdMatch = cwd && cwd.match(/^n(.+)$/m);
+
+    return {
+      command: command ? command.trim() : null,
+      cwd: cwdMatch ? cwdMatch[1] : null
+    };
+  }
+
+  return { command: null, cwd: null };
+}
+
+/**
+ * Find the process listening on a port
+ * @param {number} port - Port number
+ * @returns {Object|null} Owner with pid, name, command and cwd (the last
+ *   three may be null), or null if nothing found (or not allowed to see it)
+ */
+function getPortOwner(port) {
+  const os = system.getOS();
+  let owner;
+
+  if (os === 'windows') {
+    owner = getWindowsPortOwner(port);
+  } else if (os === 'macos') {
+    owner = getLsofPortOwner(port);
+  } else {
+    owner = getSsPortOwner(port) || getLsofPortOwner(port);
+  }
+
+  if (!owner || !owner.pid) {
+    return null;
+  }
+
+  return { ...owner, ...getProcessDetails(owner.pid) };
+}
+
 module.exports = {
   isPortOpen,
   isPortAvailable,
@@ -249,7 +420,10 @@ module.exports = {
   waitForPort,
   testConnection,
   getNetworkInterfaces,
+  getLanAddresses,
+  isLocalAddress,
   hasInternetConnection,
   waitForInternet,
-  getOccupiedPorts
+  getOccupiedPorts,
+  getPortOwner
 };
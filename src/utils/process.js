@@ -3,12 +3,27 @@
  *
  * Manages background processes like Rojo server, providing
  * start, stop, status checking, and cleanup functionality.
+ *
+ * Background processes live as long as the wizard. Detached processes
+ * outlive it: their PID and details are kept in a pidfile in the data
+ * directory (run/<name>.json), so a later wizard run or command can find
+ * and stop them again. The pidfile also records when the process started,
+ * so a PID reused by another program after a reboot or crash is never
+ * taken for ours (or signalled).
+ *
+ * Output of both kinds goes to rotating log files (see processLogs);
+ * background processes also keep their recent lines in memory.
  */
 
-const { spawn } = require('child_process');
+const { spawn, execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const system = require('./system');
+const processLogs = require('./processLogs');
+
+// How long a detached process must stay up to count as started
+const DETACHED_STARTUP_GRACE = 1000;
 
 // Active processes registry
 const processes = new Map();
@@ -49,21 +64,20 @@ async function startBackground(command, args = [], name = 'process', options = {
         process: proc,
         pid: proc.pid,
         startTime: Date.now(),
-        stdout: '',
-        stderr: ''
+        stdout: new processLogs.RingBuffer(),
+        stderr: new processLogs.RingBuffer(),
+        log: processLogs.createWriter(name)
       };
 
-      // Capture output
-      if (proc.stdout) {
-        proc.stdout.on('data', (data) => {
-          processInfo.stdout += data.toString();
-        });
-      }
-
-      if (proc.stderr) {
-        proc.stderr.on('data', (data) => {
-          processInfo.stderr += data.toString();
-        });
+      // Capture output: recent lines in memory, everything in the log file
+      for (const stream of ['stdout', 'stderr']) {
+        if (proc[stream]) {
+          proc[stream].on('data', (data) => {
+            const text = data.toString();
+            processInfo[stream].write(text);
+            processInfo.log.write(text);
+          });
+        }
       }
 
       // Handle process exit
@@ -110,7 +124,8 @@ async function stop(name) {
   const processInfo = processes.get(name);
   const { process: proc } = processInfo;
 
-  if (!proc || proc.killed) {
+  // Already exited: no exit event will come
+  if (!proc || proc.killed || processInfo.endTime) {
     processes.delete(name);
     return true;
   }
@@ -178,8 +193,9 @@ function getStatus(name) {
     running: isRunning(name),
     startTime: processInfo.startTime,
     uptime: Date.now() - processInfo.startTime,
-    stdout: processInfo.stdout,
-    stderr: processInfo.stderr,
+    stdout: processInfo.stdout.toString(),
+    stderr: processInfo.stderr.toString(),
+    logFile: processInfo.log.file,
     exitCode: processInfo.exitCode,
     error: processInfo.error
   };
@@ -194,7 +210,8 @@ function getRunning() {
 }
 
 /**
- * Get output from a process
+ * Get recent output from a process (the last BUFFER_LINES lines; the full
+ * output is in its log file)
  * @param {string} name - Process name
  * @param {string} stream - 'stdout' or 'stderr'
  * @returns {string} Output content
@@ -205,46 +222,366 @@ function getOutput(name, stream = 'stdout') {
     return '';
   }
 
-  return stream === 'stderr' ? processInfo.stderr : processInfo.stdout;
+  return (stream === 'stderr' ? processInfo.stderr : processInfo.stdout).toString();
 }
 
 /**
- * Wait for process output to contain a specific string
+ * Wait for process output to contain a specific string. Works for
+ * background processes (in-memory output) and detached ones (their log).
+ * Stops waiting early when the process exits.
  * @param {string} name - Process name
- * @param {string} match - String to match
+ * @param {string|RegExp} match - String or pattern to match
  * @param {number} timeout - Timeout in ms
  * @returns {Promise<boolean>} True if found
  */
 async function waitForOutput(name, match, timeout = 30000) {
   const startTime = Date.now();
+  const matches = (output) => (match instanceof RegExp ? match.test(output) : output.includes(match));
 
   while (Date.now() - startTime < timeout) {
     const processInfo = processes.get(name);
-    if (!processInfo) {
-      return false;
-    }
+    const detached = processInfo ? null : getDetached(name);
 
-    const output = processInfo.stdout + processInfo.stderr;
-    if (output.includes(match)) {
+    const output = processInfo
+      ? `${processInfo.stdout}\n${processInfo.stderr}`
+      : processLogs.tail(name);
+
+    if (matches(output)) {
       return true;
     }
 
-    await new Promise(resolve => setTimeout(resolve, 500));
+    // Exited without printing it
+    if (processInfo ? processInfo.endTime : !detached) {
+      return false;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 250));
   }
 
   return false;
 }
 
-// Cleanup on process exit
+/**
+ * Get the pidfile of a detached process
+ * @param {string} name - Process name
+ * @returns {string} File path
+ */
+function getPidFile(name) {
+  return path.join(system.getDataDir(), 'run', `${name}.json`);
+}
+
+/**
+ * Check if a process with this PID is alive and ours to signal
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if alive (false for another user's process,
+ *   which can't be one we started)
+ */
+function isPidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get when a process started, as a value that changes when its PID is
+ * reused
+ * @param {number} pid - Process ID
+ * @returns {string|null} Start time, or null if the OS doesn't tell
+ */
+function getProcessStartTime(pid) {
+  const os = system.getOS();
+
+  try {
+    if (os === 'linux') {
+      // Field 22 of /proc/<pid>/stat counts from boot, so add the boot ID.
+      // The command name (field 2) may contain spaces, so split after it.
+      const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      const bootId = fs.readFileSync('/proc/sys/kernel/random/boot_id', 'utf8').trim();
+      return `${bootId}:${fields[19]}`;
+    }
+
+    const command = os === 'windows'
+      ? `powershell -NoProfile -Command "(Get-Process -Id ${pid}).StartTime.ToUniversalTime().ToString('o')"`
+      : `ps -o lstart= -p ${pid}`;
+    const output = execSync(command, { encoding: 'utf8', stdio: 'pipe', timeout: 5000 }).trim();
+
+    return output || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check if the process in a pidfile record is still the one that was
+ * recorded: alive, and started at the recorded time
+ * @param {Object} record - Pidfile record
+ * @returns {boolean} True if it is
+ */
+function isRecordedProcess(record) {
+  if (!record || !record.pid || !isPidAlive(record.pid)) {
+    return false;
+  }
+
+  // Recorded on an OS that doesn't tell start times: the PID is all we have
+  if (record.processStart === null) {
+    return true;
+  }
+
+  return record.processStart === getProcessStartTime(record.pid);
+}
+
+/**
+ * Read a pidfile as it is, without checking its process
+ * @param {string} name - Process name
+ * @returns {Object|null} Pidfile record, or null if there is none (or it
+ *   can't be read)
+ */
+function readPidFile(name) {
+  try {
+    return JSON.parse(fs.readFileSync(getPidFile(name), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get a detached process from its pidfile. A pidfile whose process has
+ * died, or whose PID now belongs to another process, is removed.
+ * @param {string} name - Process name
+ * @param {Object} options - Options
+ * @param {boolean} options.readOnly - Leave a stale pidfile in place
+ * @returns {Object|null} Pidfile record or null if not running
+ */
+function getDetached(name, options = {}) {
+  const pidFile = getPidFile(name);
+
+  if (!fs.existsSync(pidFile)) {
+    return null;
+  }
+
+  const record = readPidFile(name);
+
+  if (!isRecordedProcess(record)) {
+    if (!options.readOnly) {
+      fs.unlinkSync(pidFile);
+    }
+    return null;
+  }
+
+  return record;
+}
+
+/**
+ * List running detached processes
+ * @param {string} prefix - Only names starting with this (optional)
+ * @param {Object} options - Options passed to getDetached()
+ * @returns {Array<Object>} Pidfile records, sorted by name
+ */
+function listDetached(prefix = '', options = {}) {
+  const dir = path.dirname(getPidFile(prefix || 'process'));
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json') && file.startsWith(prefix))
+    .map(file => getDetached(path.basename(file, '.json'), options))
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Start a process that keeps running after the wizard exits
+ * @param {string} command - Command to run
+ * @param {Array<string>} args - Command arguments
+ * @param {string} name - Process name for the pidfile
+ * @param {Object} options - Options
+ * @param {string} options.cwd - Working directory
+ * @param {Object} options.meta - Extra details stored in the pidfile
+ * @returns {Promise<Object>} Pidfile record
+ */
+async function startDetached(command, args = [], name = 'process', options = {}) {
+  const existing = getDetached(name);
+  if (existing) {
+    throw new Error(`Process "${name}" is already running (PID ${existing.pid})`);
+  }
+
+  fs.mkdirSync(path.dirname(getPidFile(name)), { recursive: true });
+  fs.mkdirSync(processLogs.getLogDir(), { recursive: true });
+
+  // Each run starts a new log file. It is opened for appending, so it can
+  // be rotated by copy-and-truncate while the process keeps writing.
+  const logFile = processLogs.getLogFile(name);
+  processLogs.rotate(logFile);
+
+  const output = fs.openSync(logFile, 'a');
+  const proc = spawn(command, args, {
+    cwd: options.cwd,
+    detached: true,
+    stdio: ['ignore', output, output],
+    windowsHide: true
+  });
+  fs.closeSync(output);
+
+  // A missing command or bad arguments show up within the first second
+  const exitCode = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(null), DETACHED_STARTUP_GRACE);
+
+    proc.once('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    proc.once('exit', (code) => {
+      clearTimeout(timer);
+      resolve(code === null ? -1 : code);
+    });
+  });
+
+  if (exitCode !== null) {
+    throw new Error(`Process "${name}" exited right after starting (code ${exitCode})`);
+  }
+
+  proc.removeAllListeners();
+  proc.unref();
+
+  const record = {
+    ...options.meta,
+    name,
+    pid: proc.pid,
+    processStart: getProcessStartTime(proc.pid),
+    command,
+    args,
+    cwd: options.cwd || process.cwd(),
+    logFile,
+    startTime: Date.now()
+  };
+
+  fs.writeFileSync(getPidFile(name), JSON.stringify(record, null, 2));
+
+  return record;
+}
+
+/**
+ * Add details to a running detached process's pidfile
+ * @param {string} name - Process name
+ * @param {Object} fields - Fields to store
+ * @returns {boolean} True if the process is running and was updated
+ */
+function updateDetached(name, fields) {
+  const record = getDetached(name);
+
+  if (!record) {
+    return false;
+  }
+
+  fs.writeFileSync(getPidFile(name), JSON.stringify({ ...record, ...fields }, null, 2));
+  return true;
+}
+
+/**
+ * Record a process that is already running (started outside yoblox-setup)
+ * as a detached process, so it can be found and stopped like one
+ * @param {string} name - Process name for the pidfile
+ * @param {number} pid - Process ID
+ * @param {Object} options - Options
+ * @param {string} options.cwd - Working directory of the process
+ * @param {Object} options.meta - Extra details stored in the pidfile
+ * @returns {Object} Pidfile record
+ */
+function adoptDetached(name, pid, options = {}) {
+  const existing = getDetached(name);
+  if (existing) {
+    throw new Error(`Process "${name}" is already running (PID ${existing.pid})`);
+  }
+
+  fs.mkdirSync(path.dirname(getPidFile(name)), { recursive: true });
+
+  // Its output goes wherever it was started, not to our log
+  const record = {
+    ...options.meta,
+    name,
+    pid,
+    processStart: getProcessStartTime(pid),
+    cwd: options.cwd || null,
+    logFile: null,
+    adopted: true,
+    startTime: Date.now()
+  };
+
+  fs.writeFileSync(getPidFile(name), JSON.stringify(record, null, 2));
+
+  return record;
+}
+
+/**
+ * Stop a process by PID: SIGTERM first, SIGKILL after 5 seconds
+ * @param {number} pid - Process ID
+ * @returns {Promise<void>}
+ */
+async function stopPid(pid) {
+  process.kill(pid, 'SIGTERM');
+
+  const deadline = Date.now() + 5000;
+  while (isPidAlive(pid) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  if (isPidAlive(pid)) {
+    process.kill(pid, 'SIGKILL');
+  }
+}
+
+/**
+ * Stop a detached process and remove its pidfile
+ * @param {string} name - Process name
+ * @returns {Promise<boolean>} True if a process was stopped
+ */
+async function stopDetached(name) {
+  const record = getDetached(name);
+
+  if (!record) {
+    return false;
+  }
+
+  await stopPid(record.pid);
+
+  if (fs.existsSync(getPidFile(name))) {
+    fs.unlinkSync(getPidFile(name));
+  }
+  return true;
+}
+
+/**
+ * Get recent output of a detached process from its log
+ * @param {string} name - Process name
+ * @param {number} lines - Number of lines (default BUFFER_LINES)
+ * @returns {string} Output content
+ */
+function getDetachedOutput(name, lines) {
+  return processLogs.tail(name, lines);
+}
+
+/**
+ * Rotate a detached process's log if it has grown too big. The process
+ * can't do this itself, so whoever supervises it calls this regularly.
+ * @param {string} name - Process name
+ * @returns {boolean} True if the log was rotated
+ */
+function rotateDetachedLog(name) {
+  return processLogs.rotateIfNeeded(processLogs.getLogFile(name), { copy: true });
+}
+
+// Cleanup on process exit (SIGINT is handled by the CLI, which calls stopAll)
 process.on('exit', () => {
   stopAll();
 });
 
-process.on('SIGINT', async () => {
-  await stopAll();
-  process.exit(0);
-});
-
 module.exports = {
   startBackground,
   stop,
@@ -253,5 +590,16 @@ module.exports = {
   getStatus,
   getRunning,
   getOutput,
-  waitForOutput
+  waitForOutput,
+  startDetached,
+  adoptDetached,
+  stopPid,
+  stopDetached,
+  getDetached,
+  readPidFile,
+  listDetached,
+  updateDetached,
+  getDetachedOutput,
+  rotateDetachedLog,
+  isPidAlive
 };
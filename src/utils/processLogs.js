@@ -0,0 +1,222 @@
+/**
+ * Process Log Utility
+ *
+ * Keeps the output of managed processes bounded: recent lines in memory
+ * (RingBuffer) and everything on disk in logs/<name>.log in the data
+ * directory, rotated to <name>.log.1 ... .N when a file grows past
+ * config.PROCESS_LOGS.MAX_SIZE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const system = require('./system');
+const config = require('../config');
+
+/**
+ * Fixed-size buffer of the most recent lines
+ */
+class RingBuffer {
+  /**
+   * Create a ring buffer
+   * @param {number} capacity - Lines to keep
+   */
+  constructor(capacity = config.PROCESS_LOGS.BUFFER_LINES) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+    this.partial = '';
+  }
+
+  /**
+   * Add a line, dropping the oldest one when full
+   * @param {string} line - Line to add
+   */
+  push(line) {
+    const index = (this.start + this.length) % this.capacity;
+    this.items[index] = line;
+
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Add a chunk of output, split into lines. An unfinished last line is
+   * held back until the rest of it arrives.
+   * @param {string} chunk - Output chunk
+   */
+  write(chunk) {
+    const lines = (this.partial + chunk).split(/\r?\n/);
+    this.partial = lines.pop();
+    lines.forEach(line => this.push(line));
+  }
+
+  /**
+   * Get the buffered lines, oldest first
+   * @returns {Array<string>} Lines (including an unfinished last line)
+   */
+  lines() {
+    const lines = [];
+    for (let i = 0; i < this.length; i++) {
+      lines.push(this.items[(this.start + i) % this.capacity]);
+    }
+    return this.partial ? [...lines, this.partial] : lines;
+  }
+
+  /**
+   * Get the buffered output as text
+   * @returns {string} Lines joined with newlines
+   */
+  toString() {
+    return this.lines().join('\n');
+  }
+}
+
+/**
+ * Get the directory holding process logs
+ * @returns {string} Directory path
+ */
+function getLogDir() {
+  return path.join(system.getDataDir(), 'logs');
+}
+
+/**
+ * Get the current log file of a process
+ * @param {string} name - Process name
+ * @returns {string} File path
+ */
+function getLogFile(name) {
+  return path.join(getLogDir(), `${name}.log`);
+}
+
+/**
+ * Move a log file to <file>.1, shifting older rotations up and dropping
+ * the oldest
+ * @param {string} file - Log file
+ * @param {Object} options - Options
+ * @param {boolean} options.copy - Copy and truncate instead of moving,
+ *   for files another process still has open for appending
+ */
+function rotate(file, options = {}) {
+  if (!fs.existsSync(file)) {
+    return;
+  }
+
+  const maxFiles = config.PROCESS_LOGS.MAX_FILES;
+
+  for (let i = maxFiles - 1; i >= 1; i--) {
+    if (fs.existsSync(`${file}.${i}`)) {
+      fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+    }
+  }
+
+  if (options.copy) {
+    fs.copyFileSync(file, `${file}.1`);
+    fs.truncateSync(file, 0);
+  } else {
+    fs.renameSync(file, `${file}.1`);
+  }
+}
+
+/**
+ * Rotate a log file that has grown past the size limit
+ * @param {string} file - Log file
+ * @param {Object} options - Options passed to rotate()
+ * @returns {boolean} True if the file was rotated
+ */
+function rotateIfNeeded(file, options = {}) {
+  if (!fs.existsSync(file) || fs.statSync(file).size < config.PROCESS_LOGS.MAX_SIZE) {
+    return false;
+  }
+
+  rotate(file, options);
+  return true;
+}
+
+/**
+ * Create a writer that appends output to a process's log file,
+ * rotating it when it gets too big
+ * @param {string} name - Process name
+ * @returns {Object} Writer with write(chunk)
+ */
+function createWriter(name) {
+  const file = getLogFile(name);
+  fs.mkdirSync(getLogDir(), { recursive: true });
+
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+  return {
+    file,
+    write(chunk) {
+      if (size >= config.PROCESS_LOGS.MAX_SIZE) {
+        rotate(file);
+        size = 0;
+      }
+
+      fs.appendFileSync(file, chunk);
+      size += Buffer.byteLength(chunk);
+    }
+  };
+}
+
+/**
+ * Read the last lines of a process's log
+ * @param {string} name - Process name
+ * @param {number} count - Number of lines
+ * @returns {string} Last lines, or '' if there is no log
+ */
+function tail(name, count = config.PROCESS_LOGS.BUFFER_LINES) {
+  const file = getLogFile(name);
+
+  if (!fs.existsSync(file)) {
+    return '';
+  }
+
+  // The current file is at most MAX_SIZE (plus what was written since the
+  // last rotation check), so reading it whole stays bounded
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  return lines.slice(-count).join('\n');
+}
+
+/**
+ * List the processes that have logs
+ * @returns {Array<Object>} Logs with name, file, size and modified time
+ */
+function list() {
+  const dir = getLogDir();
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.log'))
+    .map(file => {
+      const stats = fs.statSync(path.join(dir, file));
+      return {
+        name: path.basename(file, '.log'),
+        file: path.join(dir, file),
+        size: stats.size,
+        modified: stats.mtime
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  RingBuffer,
+  getLogDir,
+  getLogFile,
+  rotate,
+  rotateIfNeeded,
+  createWriter,
+  tail,
+  list
+};
@@ -0,0 +1,202 @@
+/**
+ * Progress Store
+ *
+ * Saves wizard progress to a per-user data directory, one file per
+ * session, so progress survives launching the wizard from a different
+ * folder. Progress files carry a schema version; files written by older
+ * wizard releases are upgraded through MIGRATIONS before they are used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+const system = require('./system');
+
+// Current progress file schema
+const SCHEMA_VERSION = 2;
+
+const DEFAULT_SESSION = 'default';
+
+// State order used by schema 1, which saved a bare index into it
+const V1_STATE_ORDER = [
+  'welcome', 'robloxStudio', 'vscode', 'git', 'rust', 'rojo', 'vscodeExtensions',
+  'aiCLI', 'scaffold', 'rojoServer', 'studioSync', 'syncVerification', 'finalSummary'
+];
+
+/**
+ * Migrations keyed by the schema version they upgrade from.
+ * Each takes a saved object and returns it at the next version.
+ */
+const MIGRATIONS = {
+  // 1 -> 2: schema 1 was `version: '1.0.0'` with a state index, and older
+  // releases kept AI choices at the top of the context
+  1: (saved) => {
+    const context = { ...saved.context };
+
+    context.installedTools = isObject(context.installedTools) ? context.installedTools : {};
+    context.userChoices = isObject(context.userChoices) ? { ...context.userChoices } : {};
+
+    for (const key of ['aiChoice', 'aiConfigured']) {
+      if (context[key] !== undefined && context.userChoices[key] === undefined) {
+        context.userChoices[key] = context[key];
+      }
+      delete context[key];
+    }
+
+    if (context.rojoPort && !context.rojoUrl) {
+      context.rojoUrl = `http://localhost:${context.rojoPort}`;
+    }
+
+    return {
+      schemaVersion: 2,
+      timestamp: saved.timestamp || null,
+      currentState: V1_STATE_ORDER[saved.currentStateIndex || 0] || null,
+      completedStates: Array.isArray(saved.completedStates) ? saved.completedStates : [],
+      attempts: isObject(saved.attempts) ? saved.attempts : {},
+      context
+    };
+  }
+};
+
+/**
+ * Check for a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True if a non-array object
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Get the schema version of a saved progress object
+ * @param {Object} saved - Saved progress
+ * @returns {number} Schema version (files without one are schema 1)
+ */
+function getSchemaVersion(saved) {
+  return Number.isInteger(saved.schemaVersion) ? saved.schemaVersion : 1;
+}
+
+/**
+ * Upgrade saved progress to the current schema
+ * @param {Object} saved - Saved progress at any known schema version
+ * @returns {Object} Saved progress at SCHEMA_VERSION
+ */
+function migrate(saved) {
+  let current = saved;
+  let version = getSchemaVersion(current);
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `Progress was saved by a newer yoblox-setup (schema ${version}, this version reads up to ${SCHEMA_VERSION})`
+    );
+  }
+
+  while (version < SCHEMA_VERSION) {
+    const upgrade = MIGRATIONS[version];
+    if (!upgrade) {
+      throw new Error(`No migration from progress schema ${version}`);
+    }
+
+    current = upgrade(current);
+    version = getSchemaVersion(current);
+  }
+
+  return current;
+}
+
+/**
+ * Get the progress file for a session
+ * @param {string} session - Session name
+ * @returns {string} File path
+ */
+function getSessionFile(session = DEFAULT_SESSION) {
+  if (!/^[a-zA-Z0-9_-]+$/.test(session)) {
+    throw new Error(`Invalid session name "${session}" (use letters, numbers, hyphens and underscores)`);
+  }
+
+  return path.join(system.getDataDir(), 'sessions', `${session}.json`);
+}
+
+/**
+ * Read and parse a progress file
+ * @param {string} filePath - File path
+ * @returns {Object|null} Parsed progress or null if missing
+ */
+function readFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Load saved progress for a session. A legacy progress file in the
+ * current directory is imported into the session the first time.
+ * @param {string} session - Session name
+ * @returns {Object|null} Progress at SCHEMA_VERSION or null
+ */
+function load(session = DEFAULT_SESSION) {
+  const filePath = getSessionFile(session);
+  let saved = readFile(filePath);
+
+  if (!saved) {
+    const legacyPath = path.join(process.cwd(), config.STATE_FILE);
+    saved = readFile(legacyPath);
+
+    if (saved) {
+      const migrated = migrate(saved);
+      save(migrated, session);
+      fs.unlinkSync(legacyPath);
+      logger.info(`Moved saved progress from ${legacyPath} to ${filePath}`);
+      return migrated;
+    }
+
+    return null;
+  }
+
+  return migrate(saved);
+}
+
+/**
+ * Save progress for a session
+ * @param {Object} progress - Progress (currentState, completedStates, attempts, context)
+ * @param {string} session - Session name
+ */
+function save(progress, session = DEFAULT_SESSION) {
+  const filePath = getSessionFile(session);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const data = {
+    ...progress,
+    schemaVersion: SCHEMA_VERSION,
+    wizardVersion: require('../../package.json').version,
+    timestamp: new Date().toISOString()
+  };
+
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Delete saved progress for a session
+ * @param {string} session - Session name
+ */
+function clear(session = DEFAULT_SESSION) {
+  const filePath = getSessionFile(session);
+
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  DEFAULT_SESSION,
+  MIGRATIONS,
+  migrate,
+  getSessionFile,
+  load,
+  save,
+  clear
+};
@@ -2,58 +2,239 @@
  * Prompt Utilities
  *
  * Wrapper around enquirer for consistent user interaction patterns.
+ *
+ * Every question gets a stable key (derived from the message, or passed
+ * explicitly via options.key) scoped by the state that asks it. When a
+ * prompt handler is installed (e.g. an answers file), questions are
+ * resolved by that handler instead of enquirer.
+ *
+ * Listeners can watch questions as they are asked (onQuestion) and
+ * answered (onAnswer).
+ *
+ * While going back is enabled (setBackEnabled), select prompts get a
+ * "Go back" choice and input prompts accept "<". Choosing it throws an
+ * error with code 'GO_BACK', which the state machine turns into a step
+ * back to the previous state.
  */
 
 const enquirer = require('enquirer');
 const chalk = require('chalk');
 
+// Optional handler that answers questions instead of enquirer
+let handler = null;
+
+// Name of the state currently asking questions (used to scope keys)
+let scope = null;
+
+// Whether questions offer going back to the previous step
+let backEnabled = false;
+
+// Answers that mean "go back" for select and input prompts
+const BACK_CHOICE = '__back';
+const BACK_INPUT = '<';
+
+// Listeners notified before every question and after every answer
+const questionListeners = [];
+const answerListeners = [];
+
+/**
+ * Install a prompt handler that answers questions non-interactively
+ * @param {Function|null} fn - async (question) => answer, or null for enquirer
+ */
+function setHandler(fn) {
+  handler = fn;
+}
+
+/**
+ * Set the scope (usually the current state name) for question keys
+ * @param {string|null} name - Scope name
+ */
+function setScope(name) {
+  scope = name;
+}
+
+/**
+ * Offer (or stop offering) a way back to the previous step
+ * @param {boolean} enabled - Whether going back is possible
+ */
+function setBackEnabled(enabled) {
+  backEnabled = Boolean(enabled);
+}
+
+/**
+ * Create the error thrown when the user chooses to go back
+ * @returns {Error} Error with code 'GO_BACK'
+ */
+function goBackError() {
+  const error = new Error('Going back to the previous step');
+  error.code = 'GO_BACK';
+  return error;
+}
+
+/**
+ * Check whether an error means the user chose to go back
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for a go-back request
+ */
+function isGoBack(error) {
+  return Boolean(error) && error.code === 'GO_BACK';
+}
+
+/**
+ * Get the installed prompt handler
+ * @returns {Function|null} Handler, or null when enquirer is used
+ */
+function getHandler() {
+  return handler;
+}
+
+/**
+ * Add a listener to a list and return a function that removes it
+ * @param {Array<Function>} listeners - Listener list
+ * @param {Function} fn - Listener
+ * @returns {Function} Unsubscribe function
+ */
+function addListener(listeners, fn) {
+  listeners.push(fn);
+
+  return () => {
+    const index = listeners.indexOf(fn);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Register a listener called before every question is asked
+ * @param {Function} fn - (question) => void, question has type, key,
+ *   message, scope and (depending on type) initial and choices
+ * @returns {Function} Unsubscribe function
+ */
+function onQuestion(fn) {
+  return addListener(questionListeners, fn);
+}
+
+/**
+ * Register a listener called after every answered question
+ * @param {Function} fn - (entry) => void, entry has question fields plus
+ *   answer, askedAt (ISO timestamp) and durationMs
+ * @returns {Function} Unsubscribe function
+ */
+function onAnswer(fn) {
+  return addListener(answerListeners, fn);
+}
+
+/**
+ * Turn a prompt message into a stable key
+ * @param {string} message - Prompt message
+ * @returns {string} Key (e.g., 'ready-to-begin-setup')
+ */
+function slugify(message) {
+  return String(message || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Build the scoped key for a question
+ * @param {string} message - Prompt message
+ * @param {string} key - Explicit key (optional)
+ * @returns {string} Scoped key (e.g., 'welcome.ready-to-begin-setup')
+ */
+function questionKey(message, key) {
+  const base = key || slugify(message);
+
+  if (!base) {
+    throw new Error(`Prompt "${message}" needs an explicit key`);
+  }
+
+  return scope ? `${scope}.${base}` : base;
+}
+
+/**
+ * Ask a question through the active handler or enquirer
+ * @param {Object} question - Question description passed to handlers
+ * @param {Object} enquirerConfig - enquirer prompt config
+ * @returns {Promise<*>} Answer
+ */
+async function ask(question, enquirerConfig) {
+  const asked = { ...question, scope };
+  const startTime = Date.now();
+  let answer;
+
+  for (const listener of questionListeners) {
+    listener(asked);
+  }
+
+  if (handler) {
+    answer = await handler(asked);
+  } else {
+    try {
+      const response = await enquirer.prompt({ name: 'answer', ...enquirerConfig });
+      answer = response.answer;
+    } catch (error) {
+      // User cancelled (Ctrl+C)
+      if (error.message === '') {
+        throw new Error('User cancelled');
+      }
+      throw error;
+    }
+  }
+
+  const entry = {
+    ...asked,
+    answer,
+    askedAt: new Date(startTime).toISOString(),
+    durationMs: Date.now() - startTime
+  };
+
+  for (const listener of answerListeners) {
+    listener(entry);
+  }
+
+  return answer;
+}
+
 /**
  * Ask a yes/no confirmation question
  * @param {string} message - Question to ask
  * @param {boolean} defaultValue - Default value (true = yes, false = no)
+ * @param {Object} options - Options
+ * @param {string} options.key - Explicit question key
  * @returns {Promise<boolean>} User's answer
  */
-async function confirm(message, defaultValue = true) {
-  try {
-    const response = await enquirer.prompt({
-      type: 'confirm',
-      name: 'answer',
-      message,
-      initial: defaultValue
-    });
-
-    return response.answer;
-  } catch (error) {
-    // User cancelled (Ctrl+C)
-    if (error.message === '') {
-      throw new Error('User cancelled');
-    }
-    throw error;
-  }
+async function confirm(message, defaultValue = true, options = {}) {
+  return ask(
+    { type: 'confirm', key: questionKey(message, options.key), message, initial: defaultValue },
+    { type: 'confirm', message, initial: defaultValue }
+  );
 }
 
 /**
  * Ask user to select from multiple choices
  * @param {string} message - Question to ask
  * @param {Array<Object>} choices - Array of choice objects with name and value
+ * @param {Object} options - Options
+ * @param {string} options.key - Explicit question key
  * @returns {Promise<*>} Selected value
  */
-async function select(message, choices) {
-  try {
-    const response = await enquirer.prompt({
-      type: 'select',
-      name: 'answer',
-      message,
-      choices
-    });
-
-    return response.answer;
-  } catch (error) {
-    if (error.message === '') {
-      throw new Error('User cancelled');
-    }
-    throw error;
+async function select(message, choices, options = {}) {
+  const question = { type: 'select', key: questionKey(message, options.key), message, choices };
+
+  if (backEnabled) {
+    question.choices = [...choices, { name: BACK_CHOICE, message: chalk.gray('← Go back to the previous step') }];
+    question.backAnswer = BACK_CHOICE;
   }
+
+  const answer = await ask(question, { type: 'select', message, choices: question.choices });
+
+  if (backEnabled && answer === BACK_CHOICE) {
+    throw goBackError();
+  }
+
+  return answer;
 }
 
 /**
@@ -61,96 +242,81 @@ async function select(message, choices) {
  * @param {string} message - Question to ask
  * @param {string} defaultValue - Default value
  * @param {Function} validate - Validation function
+ * @param {Object} options - Options
+ * @param {string} options.key - Explicit question key
  * @returns {Promise<string>} User's input
  */
-async function input(message, defaultValue = '', validate = null) {
-  try {
-    const promptConfig = {
-      type: 'input',
-      name: 'answer',
-      message,
-      initial: defaultValue
-    };
+async function input(message, defaultValue = '', validate = null, options = {}) {
+  const promptConfig = {
+    type: 'input',
+    message,
+    initial: defaultValue
+  };
+
+  if (validate) {
+    promptConfig.validate = validate;
+  }
+
+  const question = { type: 'input', key: questionKey(message, options.key), message, initial: defaultValue, validate };
 
+  if (backEnabled) {
+    question.backAnswer = BACK_INPUT;
+    promptConfig.message = `${message} ${chalk.gray(`(${BACK_INPUT} to go back)`)}`;
     if (validate) {
-      promptConfig.validate = validate;
+      promptConfig.validate = value => value === BACK_INPUT || validate(value);
     }
+  }
 
-    const response = await enquirer.prompt(promptConfig);
+  const answer = await ask(question, promptConfig);
 
-    return response.answer;
-  } catch (error) {
-    if (error.message === '') {
-      throw new Error('User cancelled');
-    }
-    throw error;
+  if (backEnabled && answer === BACK_INPUT) {
+    throw goBackError();
   }
+
+  return answer;
 }
 
 /**
  * Ask user to press Enter to continue
  * @param {string} message - Message to show (optional)
+ * @param {Object} options - Options
+ * @param {string} options.key - Explicit question key
  * @returns {Promise<void>}
  */
-async function pressEnterToContinue(message = 'Press Enter to continue...') {
-  try {
-    await enquirer.prompt({
-      type: 'invisible',
-      name: 'enter',
-      message: chalk.gray(message)
-    });
-  } catch (error) {
-    if (error.message === '') {
-      throw new Error('User cancelled');
-    }
-    throw error;
-  }
+async function pressEnterToContinue(message = 'Press Enter to continue...', options = {}) {
+  await ask(
+    { type: 'enter', key: questionKey(message, options.key), message },
+    { type: 'invisible', message: chalk.gray(message) }
+  );
 }
 
 /**
  * Ask user to select multiple items
  * @param {string} message - Question to ask
  * @param {Array<Object>} choices - Array of choice objects
+ * @param {Object} options - Options
+ * @param {string} options.key - Explicit question key
  * @returns {Promise<Array>} Selected values
  */
-async function multiselect(message, choices) {
-  try {
-    const response = await enquirer.prompt({
-      type: 'multiselect',
-      name: 'answer',
-      message,
-      choices
-    });
-
-    return response.answer;
-  } catch (error) {
-    if (error.message === '') {
-      throw new Error('User cancelled');
-    }
-    throw error;
-  }
+async function multiselect(message, choices, options = {}) {
+  return ask(
+    { type: 'multiselect', key: questionKey(message, options.key), message, choices },
+    { type: 'multiselect', message, choices }
+  );
 }
 
 /**
  * Ask for password input (hidden)
  * @param {string} message - Question to ask
+ * @param {Object} options - Options
+ * @param {string} options.key - Explicit question key
  * @returns {Promise<string>} User's input
  */
-async function password(message) {
-  try {
-    const response = await enquirer.prompt({
-      type: 'password',
-      name: 'answer',
-      message
-    });
-
-    return response.answer;
-  } catch (error) {
-    if (error.message === '') {
-      throw new Error('User cancelled');
-    }
-    throw error;
-  }
+async function password(message, options = {}) {
+  return ask(
+    { type: 'password', key: questionKey(message, options.key), message },
+    { type: 'password', message }
+  );
 }
 
 module.exports = {
@@ -159,5 +325,13 @@ module.exports = {
   input,
   pressEnterToContinue,
   multiselect,
-  password
+  password,
+  setHandler,
+  getHandler,
+  setBackEnabled,
+  isGoBack,
+  setScope,
+  onQuestion,
+  onAnswer,
+  questionKey
 };
@@ -0,0 +1,139 @@
+/**
+ * Session Recording Utility
+ *
+ * Records every prompt the wizard shows (state, question key, answer and
+ * timing) to a JSON file, and replays a recording back through the
+ * prompt module so a student's run can be reproduced locally.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const answers = require('./answers');
+
+const RECORDING_VERSION = 1;
+
+/**
+ * Start recording prompts to a file
+ * @param {string} filePath - File to write the recording to
+ * @param {Object} meta - Extra metadata stored with the recording
+ * @returns {Object} Recorder with a record(entry) method
+ */
+function createRecorder(filePath, meta = {}) {
+  const startTime = Date.now();
+  const recording = {
+    version: RECORDING_VERSION,
+    recordedAt: new Date(startTime).toISOString(),
+    platform: os.platform(),
+    node: process.version,
+    ...meta,
+    entries: []
+  };
+
+  // Write after every answer so a crashed or cancelled run still leaves a file
+  const save = () => {
+    try {
+      fs.writeFileSync(filePath, JSON.stringify(recording, null, 2));
+    } catch (error) {
+      throw new Error(`Could not write recording ${filePath}: ${error.message}`);
+    }
+  };
+
+  save();
+
+  return {
+    record(entry) {
+      recording.entries.push({
+        state: entry.scope,
+        key: entry.key,
+        type: entry.type,
+        message: entry.message,
+        // Never write hidden input to disk
+        answer: entry.type === 'password' ? null : entry.answer,
+        askedAt: entry.askedAt,
+        offsetMs: Date.parse(entry.askedAt) - startTime,
+        durationMs: entry.durationMs
+      });
+      save();
+    }
+  };
+}
+
+/**
+ * Load a recording from disk
+ * @param {string} filePath - Recording file
+ * @returns {Object} Parsed recording
+ */
+function load(filePath) {
+  let recording;
+
+  try {
+    recording = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read recording ${filePath}: ${error.message}`);
+  }
+
+  if (!recording || !Array.isArray(recording.entries)) {
+    throw new Error(`${filePath} is not a yoblox-setup recording`);
+  }
+
+  if (recording.version > RECORDING_VERSION) {
+    throw new Error(`Recording ${filePath} was made by a newer yoblox-setup (format v${recording.version})`);
+  }
+
+  return recording;
+}
+
+/**
+ * Check whether a recording continued from saved progress
+ * @param {Object} recording - Parsed recording
+ * @returns {boolean} True if the recorded run resumed a previous session
+ */
+function wasResumed(recording) {
+  return recording.entries.some(entry => !entry.state && entry.key === 'resume' && entry.answer === true);
+}
+
+/**
+ * Create a prompt handler that replays recorded answers in order
+ * @param {Object} recording - Parsed recording
+ * @param {string} source - Where the recording came from (for error messages)
+ * @returns {Function} Prompt handler
+ */
+function createReplayHandler(recording, source = 'recording') {
+  // Prompts outside any state (e.g. "resume?") depend on local saved
+  // progress rather than the recorded run, so replay only state prompts
+  const entries = recording.entries.filter(entry => entry.state);
+  let position = 0;
+
+  return async (question) => {
+    const entry = entries[position];
+
+    if (!question.scope) {
+      throw new Error(`Replay cannot answer "${question.key}" - run with --reset`);
+    }
+
+    if (!entry) {
+      throw new Error(
+        `Replay of ${source} ran out of answers at "${question.key}" ` +
+        `(${entries.length} recorded)`
+      );
+    }
+
+    if (entry.key !== question.key) {
+      throw new Error(
+        `Replay of ${source} diverged at step ${position + 1}:\n` +
+        `  Recorded: ${entry.key} (${entry.message})\n` +
+        `  Asked:    ${question.key} (${question.message})`
+      );
+    }
+
+    position++;
+    return answers.coerce(question, entry.answer);
+  };
+}
+
+module.exports = {
+  createRecorder,
+  load,
+  wasResumed,
+  createReplayHandler
+};
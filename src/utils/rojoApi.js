@@ -0,0 +1,304 @@
+/**
+ * Rojo API Client
+ *
+ * Talks to a running `rojo serve` over its HTTP API. getInfo() reads the
+ * server info endpoint (/api/rojo): server version, protocol version,
+ * project name and session ID. checkServer() uses it to tell whether the
+ * server on a port is ours (serving the expected project) and usable by
+ * the current Studio plugin.
+ *
+ * watchTree() follows the served instance tree the way the Studio plugin
+ * does: a snapshot from /api/read/<root>, then changes from the
+ * /api/subscribe/<cursor> long poll.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const semver = require('semver');
+const config = require('../config');
+
+/**
+ * GET a JSON endpoint of a Rojo server
+ * @param {number} port - Server port
+ * @param {string} apiPath - Endpoint path (e.g. '/api/rojo')
+ * @param {Object} options - Options
+ * @param {string} options.host - Server host (default: localhost)
+ * @param {number} options.timeout - Request timeout in ms (default: 3000)
+ * @returns {Promise<Object>} Result with success flag, statusCode and data or error
+ */
+async function request(port, apiPath, options = {}) {
+  const { host = 'localhost', timeout = 3000 } = options;
+
+  return new Promise((resolve) => {
+    const req = http.get({ host, port, path: apiPath, timeout }, (res) => {
+      let body = '';
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          resolve({ success: false, statusCode: res.statusCode, error: `HTTP ${res.statusCode}` });
+          return;
+        }
+
+        try {
+          resolve({ success: true, statusCode: res.statusCode, data: JSON.parse(body) });
+        } catch (error) {
+          resolve({ success: false, statusCode: res.statusCode, error: 'Response is not JSON' });
+        }
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy();
+      resolve({ success: false, error: 'Connection timeout', code: 'ETIMEDOUT' });
+    });
+
+    req.on('error', (err) => {
+      resolve({ success: false, error: err.message, code: err.code });
+    });
+  });
+}
+
+/**
+ * Get server info from /api/rojo
+ * @param {number} port - Server port
+ * @param {Object} options - Request options (host, timeout)
+ * @returns {Promise<Object>} Result with success flag and info
+ *   ({ sessionId, serverVersion, protocolVersion, projectName, ... }),
+ *   or error and notRojo (something answered, but not a Rojo server)
+ */
+async function getInfo(port, options = {}) {
+  const response = await request(port, '/api/rojo', options);
+
+  if (!response.success) {
+    // Anything answering HTTP is not a Rojo server we can use
+    return { success: false, error: response.error, notRojo: Boolean(response.statusCode) };
+  }
+
+  const data = response.data || {};
+
+  if (typeof data.sessionId !== 'string' || typeof data.projectName !== 'string') {
+    return { success: false, error: 'Unexpected /api/rojo response', notRojo: true };
+  }
+
+  return {
+    success: true,
+    info: {
+      sessionId: data.sessionId,
+      serverVersion: data.serverVersion,
+      protocolVersion: data.protocolVersion,
+      projectName: data.projectName,
+      rootInstanceId: data.rootInstanceId,
+      expectedPlaceIds: data.expectedPlaceIds || null,
+      placeId: data.placeId || null,
+      gameId: data.gameId || null
+    }
+  };
+}
+
+/**
+ * Read the project name Rojo will report for a project
+ * @param {string} projectPath - Project folder
+ * @param {string} projectFile - Project file name (default: default.project.json)
+ * @returns {string|null} Project name or null if the file can't be read
+ */
+function readProjectName(projectPath, projectFile = 'default.project.json') {
+  try {
+    const project = JSON.parse(fs.readFileSync(path.join(projectPath, projectFile), 'utf8'));
+    return typeof project.name === 'string' ? project.name : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check the Rojo server on a port
+ * @param {number} port - Server port
+ * @param {Object} expected - What the server should be
+ * @param {string} expected.projectName - Project name it should serve
+ * @param {string} expected.sessionId - Session it should have (optional)
+ * @param {Object} options - Request options (host, timeout)
+ * @returns {Promise<Object>} Result with ours flag (right project and
+ *   session), info, issues (version problems) and reason when not ours
+ */
+async function checkServer(port, expected = {}, options = {}) {
+  const result = await getInfo(port, options);
+
+  if (!result.success) {
+    const reason = result.notRojo
+      ? `Port ${port} is answering, but not as a Rojo server (${result.error})`
+      : `No Rojo server answering on port ${port} (${result.error})`;
+    return { ours: false, info: null, issues: [], reason };
+  }
+
+  const { info } = result;
+  const issues = [];
+
+  if (info.protocolVersion !== config.ROJO.PROTOCOL_VERSION) {
+    issues.push(
+      `Rojo speaks protocol ${info.protocolVersion}, the Studio plugin expects ${config.ROJO.PROTOCOL_VERSION}`
+    );
+  }
+
+  const version = semver.coerce(info.serverVersion);
+  if (version && semver.lt(version, config.MIN_VERSIONS.rojo)) {
+    issues.push(`Rojo ${info.serverVersion} is older than the required ${config.MIN_VERSIONS.rojo}`);
+  }
+
+  if (expected.projectName && info.projectName !== expected.projectName) {
+    return {
+      ours: false,
+      info,
+      issues,
+      reason: `A different Rojo server is on port ${port} (serving "${info.projectName}", expected "${expected.projectName}")`
+    };
+  }
+
+  if (expected.sessionId && info.sessionId !== expected.sessionId) {
+    return {
+      ours: false,
+      info,
+      issues,
+      reason: `A different Rojo server session is on port ${port} (session ${info.sessionId})`
+    };
+  }
+
+  return { ours: true, info, issues, reason: null };
+}
+
+/**
+ * Wait for a just-started server to answer /api/rojo, then check it
+ * @param {number} port - Server port
+ * @param {Object} expected - What the server should be (see checkServer)
+ * @param {number} timeout - How long to wait in ms (default: STARTUP_TIMEOUT)
+ * @param {Object} options - Request options (host, timeout)
+ * @returns {Promise<Object>} Result of checkServer()
+ */
+async function waitForServer(port, expected = {}, timeout = config.ROJO.STARTUP_TIMEOUT, options = {}) {
+  const deadline = Date.now() + timeout;
+  let result = await checkServer(port, expected, options);
+
+  while (!result.info && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 500));
+    result = await checkServer(port, expected, options);
+  }
+
+  return result;
+}
+
+/**
+ * Apply a /api/subscribe message (removed, added and updated instances)
+ * to a map of instances by ID
+ * @param {Object} instances - Instances by ID (changed in place)
+ * @param {Object} message - Subscribe message
+ * @param {string} rootId - Root instance ID (never pruned)
+ */
+function applyMessage(instances, message, rootId) {
+  for (const id of message.removed || []) {
+    delete instances[id];
+  }
+
+  Object.assign(instances, message.added || {});
+
+  for (const update of message.updated || []) {
+    const instance = instances[update.id];
+    if (instance && typeof update.changedName === 'string') {
+      instance.Name = update.changedName;
+    }
+  }
+
+  // Removing an instance only lists the instance itself, so drop
+  // descendants whose parent is gone
+  let pruned = true;
+  while (pruned) {
+    pruned = false;
+    for (const [id, instance] of Object.entries(instances)) {
+      if (id !== rootId && !instances[instance.Parent]) {
+        delete instances[id];
+        pruned = true;
+      }
+    }
+  }
+}
+
+/**
+ * Start following the instance tree a Rojo server serves
+ * @param {number} port - Server port
+ * @param {Object} options - Request options (host, timeout)
+ * @returns {Promise<Object>} Result with success flag and a watcher:
+ *   - has(name): whether an instance with this name is in the tree
+ *   - waitUntil(predicate, timeout): resolves true once predicate(watcher)
+ *     holds, false on timeout; throws if the server restarts or stops
+ */
+async function watchTree(port, options = {}) {
+  const serverInfo = await getInfo(port, options);
+  if (!serverInfo.success) {
+    return { success: false, error: serverInfo.error };
+  }
+
+  const { sessionId, rootInstanceId } = serverInfo.info;
+  const snapshot = await request(port, `/api/read/${rootInstanceId}`, options);
+  if (!snapshot.success) {
+    return { success: false, error: `Could not read the instance tree (${snapshot.error})` };
+  }
+
+  const instances = { ...snapshot.data.instances };
+  let cursor = snapshot.data.messageCursor;
+
+  const watcher = {
+    has(name) {
+      return Object.values(instances).some(instance => instance.Name === name);
+    },
+
+    async waitUntil(predicate, timeout) {
+      const deadline = Date.now() + timeout;
+
+      while (!predicate(watcher)) {
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+          return false;
+        }
+
+        // Long poll: Rojo answers as soon as something changes
+        const update = await request(port, `/api/subscribe/${cursor}`, {
+          ...options,
+          timeout: remaining
+        });
+
+        if (!update.success) {
+          if (update.code === 'ETIMEDOUT') {
+            return false;
+          }
+          throw new Error(`Lost the Rojo server while watching (${update.error})`);
+        }
+
+        if (update.data.sessionId !== sessionId) {
+          throw new Error('The Rojo server restarted while watching');
+        }
+
+        cursor = update.data.messageCursor;
+        for (const message of update.data.messages || []) {
+          applyMessage(instances, message, rootInstanceId);
+        }
+      }
+
+      return true;
+    }
+  };
+
+  return { success: true, watcher };
+}
+
+module.exports = {
+  request,
+  getInfo,
+  readProjectName,
+  checkServer,
+  waitForServer,
+  watchTree
+};
@@ -0,0 +1,323 @@
+/**
+ * Rojo Build Utility
+ *
+ * Builds place (.rbxl) and model (.rbxm) files from a project with
+ * `rojo build`, for backups, publishing and opening a fresh place. A
+ * project whose tree is a DataModel builds a place, anything else a model.
+ * Artifacts go to the build directory (build/ in the project folder
+ * unless another is given) and are named after the project file.
+ *
+ * Every build is also copied to <build directory>/snapshots/ with a
+ * timestamp. Only the newest config.BUILD.KEEP_SNAPSHOTS snapshots per
+ * artifact are kept.
+ *
+ * watch() runs `rojo build --watch` through the process manager, so Rojo
+ * rebuilds on every file change, and takes a snapshot each time the
+ * artifact is rewritten.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const processManager = require('./process');
+const processLogs = require('./processLogs');
+const installer = require('./installer');
+const rojoApi = require('./rojoApi');
+const config = require('../config');
+
+// Process name of `rojo build --watch` for default.project.json
+const BUILD_NAME = 'rojo-build';
+
+// Project file built when none is chosen
+const DEFAULT_PROJECT_FILE = 'default.project.json';
+
+// How long the artifact must stay unchanged before it is snapshotted (ms)
+const SETTLE_DELAY = 300;
+
+/**
+ * Get the process name of `rojo build --watch` for a project file
+ * @param {string} projectFile - Project file, relative to the project folder
+ * @returns {string} Name such as "rojo-build" or "rojo-build-test"
+ */
+function getBuildName(projectFile = DEFAULT_PROJECT_FILE) {
+  if (projectFile === DEFAULT_PROJECT_FILE) {
+    return BUILD_NAME;
+  }
+
+  const name = projectFile.replace(/\.project\.json$/, '').replace(/[^A-Za-z0-9_-]+/g, '-');
+  return `${BUILD_NAME}-${name}`;
+}
+
+/**
+ * Get the build directory of a project
+ * @param {string} projectPath - Project folder
+ * @param {string} outDir - Build directory, relative to the project folder (default: config.BUILD.DIR)
+ * @returns {string} Absolute build directory
+ */
+function getBuildDir(projectPath, outDir) {
+  return path.resolve(projectPath, outDir || config.BUILD.DIR);
+}
+
+/**
+ * Work out whether a project file builds a place or a model
+ * @param {string} projectPath - Project folder
+ * @param {string} projectFile - Project file
+ * @returns {string} 'rbxl' for a DataModel tree, else 'rbxm'
+ */
+function getFormat(projectPath, projectFile = DEFAULT_PROJECT_FILE) {
+  try {
+    const project = JSON.parse(fs.readFileSync(path.join(projectPath, projectFile), 'utf8'));
+    return project.tree && project.tree.$className !== 'DataModel' ? 'rbxm' : 'rbxl';
+  } catch (error) {
+    // Rojo reports the broken file itself
+    return 'rbxl';
+  }
+}
+
+/**
+ * Get the artifact file name for a project file: the project name for
+ * default.project.json, else the project file's name
+ * @param {string} projectPath - Project folder
+ * @param {string} projectFile - Project file
+ * @returns {string} File name such as "MyGame.rbxl"
+ */
+function getArtifactName(projectPath, projectFile = DEFAULT_PROJECT_FILE) {
+  const base = projectFile === DEFAULT_PROJECT_FILE
+    ? rojoApi.readProjectName(projectPath, projectFile) || path.basename(path.resolve(projectPath))
+    : path.basename(projectFile).replace(/\.project\.json$/, '');
+
+  return `${base.replace(/[^A-Za-z0-9_.-]+/g, '-')}.${getFormat(projectPath, projectFile)}`;
+}
+
+/**
+ * Build a project file once
+ * @param {Object} options - Options
+ * @param {string} options.projectPath - Project folder
+ * @param {string} options.projectFile - Project file (default: default.project.json)
+ * @param {string} options.outDir - Build directory (default: config.BUILD.DIR)
+ * @returns {Promise<Object>} Result with success flag, artifact path,
+ *   size, Rojo's output and error
+ */
+async function build(options) {
+  const projectPath = path.resolve(options.projectPath);
+  const projectFile = options.projectFile || DEFAULT_PROJECT_FILE;
+  const buildDir = getBuildDir(projectPath, options.outDir);
+  const artifact = path.join(buildDir, getArtifactName(projectPath, projectFile));
+
+  fs.mkdirSync(buildDir, { recursive: true });
+
+  const result = await installer.runCommand(
+    config.WINDOWS.ROJO_COMMAND,
+    ['build', `"${projectFile}"`, '--output', `"${artifact}"`],
+    { cwd: projectPath, stdio: 'pipe' }
+  );
+  const output = [result.stdout, result.stderr].filter(Boolean).join('\n');
+
+  if (!result.success || !fs.existsSync(artifact)) {
+    const error = result.success ? 'Rojo did not write the file' : `rojo build exited with code ${result.exitCode}`;
+    return { success: false, artifact, output, error };
+  }
+
+  return { success: true, artifact, size: fs.statSync(artifact).size, output };
+}
+
+/**
+ * Split an artifact path into the parts snapshot names are made of
+ * @param {string} artifact - Artifact path
+ * @returns {Object} Snapshot directory, base name and extension
+ */
+function getSnapshotParts(artifact) {
+  const ext = path.extname(artifact);
+
+  return {
+    dir: path.join(path.dirname(artifact), config.BUILD.SNAPSHOT_DIR),
+    base: path.basename(artifact, ext),
+    ext
+  };
+}
+
+/**
+ * List the snapshots of an artifact
+ * @param {string} artifact - Artifact path
+ * @returns {Array<Object>} Snapshots with file, time and size, newest first
+ */
+function listSnapshots(artifact) {
+  const { dir, base, ext } = getSnapshotParts(artifact);
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  // <base>-<ISO timestamp with : and . replaced><ext>
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${escape(base)}-\\d{4}-\\d{2}-\\d{2}T[\\d-]+Z${escape(ext)}$`);
+
+  return fs.readdirSync(dir)
+    .filter(file => pattern.test(file))
+    .map(file => {
+      const stats = fs.statSync(path.join(dir, file));
+      return { file: path.join(dir, file), time: stats.mtime, size: stats.size };
+    })
+    .sort((a, b) => path.basename(b.file).localeCompare(path.basename(a.file)));
+}
+
+/**
+ * Delete the oldest snapshots of an artifact beyond the retention limit
+ * @param {string} artifact - Artifact path
+ * @param {number} keep - Snapshots to keep (default: config.BUILD.KEEP_SNAPSHOTS)
+ * @returns {Array<string>} Deleted files
+ */
+function pruneSnapshots(artifact, keep = config.BUILD.KEEP_SNAPSHOTS) {
+  const removed = [];
+
+  for (const snapshot of listSnapshots(artifact).slice(keep)) {
+    try {
+      fs.unlinkSync(snapshot.file);
+      removed.push(snapshot.file);
+    } catch (error) {
+      // Try again after the next build
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Copy a freshly built artifact to a timestamped snapshot, then apply the
+ * retention limit
+ * @param {string} artifact - Artifact path
+ * @param {number} keep - Snapshots to keep (default: config.BUILD.KEEP_SNAPSHOTS)
+ * @returns {Object} Snapshot file (null if keep is 0) and deleted files
+ */
+function snapshot(artifact, keep = config.BUILD.KEEP_SNAPSHOTS) {
+  if (keep === 0) {
+    return { file: null, removed: [] };
+  }
+
+  const { dir, base, ext } = getSnapshotParts(artifact);
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const file = path.join(dir, `${base}-${stamp}${ext}`);
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.copyFileSync(artifact, file);
+
+  return { file, removed: pruneSnapshots(artifact, keep) };
+}
+
+/**
+ * Rebuild a project file on every change with `rojo build --watch`,
+ * snapshotting each build. Call stop() on the result to end it.
+ * @param {Object} options - Options
+ * @param {string} options.projectPath - Project folder
+ * @param {string} options.projectFile - Project file (default: default.project.json)
+ * @param {string} options.outDir - Build directory (default: config.BUILD.DIR)
+ * @param {number} options.keep - Snapshots to keep (default: config.BUILD.KEEP_SNAPSHOTS)
+ * @param {Function} options.onBuild - Called with { artifact, size, snapshot, removed } after each build
+ * @param {Function} options.onExit - Called with Rojo's exit code if it stops by itself
+ * @returns {Promise<Object>} Watcher with name, artifact and stop()
+ */
+async function watch(options) {
+  const projectPath = path.resolve(options.projectPath);
+  const projectFile = options.projectFile || DEFAULT_PROJECT_FILE;
+  const keep = options.keep === undefined ? config.BUILD.KEEP_SNAPSHOTS : options.keep;
+  const buildDir = getBuildDir(projectPath, options.outDir);
+  const artifact = path.join(buildDir, getArtifactName(projectPath, projectFile));
+  const name = getBuildName(projectFile);
+
+  fs.mkdirSync(buildDir, { recursive: true });
+
+  let settleTimer = null;
+  let stopping = false;
+
+  // Rojo rewrites the artifact after each change; wait until it settles
+  const onChange = (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs || current.size === 0) {
+      return;
+    }
+
+    clearTimeout(settleTimer);
+    settleTimer = setTimeout(() => {
+      let size;
+      let result;
+      try {
+        size = fs.statSync(artifact).size;
+        result = snapshot(artifact, keep);
+      } catch (error) {
+        // Removed or locked mid-write; the next build is snapshotted instead
+        return;
+      }
+
+      if (options.onBuild) {
+        options.onBuild({ artifact, size, snapshot: result.file, removed: result.removed });
+      }
+    }, SETTLE_DELAY);
+  };
+
+  fs.watchFile(artifact, { interval: config.BUILD.WATCH_INTERVAL }, onChange);
+
+  let info;
+  try {
+    info = await processManager.startBackground(
+      config.WINDOWS.ROJO_COMMAND,
+      ['build', projectFile, '--output', artifact, '--watch'],
+      name,
+      // Without a shell, stopping it stops Rojo itself
+      { cwd: projectPath, shell: false }
+    );
+  } catch (error) {
+    fs.unwatchFile(artifact, onChange);
+    throw error;
+  }
+
+  const stopWatching = () => {
+    clearTimeout(settleTimer);
+    fs.unwatchFile(artifact, onChange);
+  };
+
+  // Exited while starting, usually on a broken project file
+  if (info.endTime) {
+    stopWatching();
+    await processManager.stop(name);
+    throw new Error(`rojo build exited with code ${info.exitCode}`);
+  }
+
+  info.process.once('exit', (code) => {
+    stopWatching();
+    if (!stopping && options.onExit) {
+      options.onExit(code);
+    }
+  });
+
+  return {
+    name,
+    artifact,
+    async stop() {
+      stopping = true;
+      stopWatching();
+      await processManager.stop(name);
+    }
+  };
+}
+
+/**
+ * Get the recent output of `rojo build --watch` (for troubleshooting)
+ * @param {number} lines - Number of lines
+ * @param {string} projectFile - Project file (default: default.project.json)
+ * @returns {string} Last lines of its log
+ */
+function getWatchOutput(lines, projectFile = DEFAULT_PROJECT_FILE) {
+  return processLogs.tail(getBuildName(projectFile), lines);
+}
+
+module.exports = {
+  BUILD_NAME,
+  getBuildName,
+  getBuildDir,
+  getFormat,
+  getArtifactName,
+  build,
+  listSnapshots,
+  pruneSnapshots,
+  snapshot,
+  watch,
+  getWatchOutput
+};
@@ -0,0 +1,141 @@
+/**
+ * Rojo Startup Errors
+ *
+ * Recognises why `rojo serve` failed to start from its output and turns
+ * it into a specific fix. Each signature has a pattern, a title, the
+ * fixes to show and an action the wizard can offer:
+ *   - open-file  open the project file in VS Code at the reported line
+ *   - update     update Rojo
+ *   - free-port  find out what holds the port (run the state again)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// Project files are named <name>.project.json
+const PROJECT_FILE = /([^\s"'`]*\.project\.json)/;
+
+// serde_json errors end with "at line 3 column 5"
+const LINE_COLUMN = /at line (\d+) column (\d+)/;
+
+// serde_json syntax errors, e.g. "expected `,` or `}` at line 3 column 5"
+// or "EOF while parsing an object at line 9 column 0"
+const JSON_SYNTAX = /\b(expected [^\n]*?|EOF while parsing [^\n]*?|trailing comma|key must be a string|invalid (escape|number|unicode code point)|control character [^\n]*?) at line \d+ column \d+/;
+
+const SIGNATURES = [
+  {
+    id: 'address-in-use',
+    pattern: /address already in use|address in use|only one usage of each socket address|os error (98|48|10048)/i,
+    title: 'The port is already in use',
+    fixes: () => [
+      'Another program (often another Rojo server) is listening on the port',
+      'Stop it, or let the wizard find out which program it is and offer to stop it'
+    ],
+    action: 'free-port'
+  },
+  {
+    id: 'missing-path',
+    // "Rojo project referred to a file using $path that could not be
+    // turned into a Roblox Instance by Rojo. ... File $path: src/server"
+    pattern: /referred to a file using \$path|could not be turned into a Roblox Instance|^File \$path: /m,
+    title: 'A $path in the project file points to a folder that does not exist',
+    fixes: (match, output) => {
+      const missing = output.match(/File \$path: (.+)|\$path[^\n]*?"([^"]+)"/);
+      const target = missing ? (missing[1] || missing[2]).trim() : null;
+      return [
+        target
+          ? `Create the missing folder "${target}", or fix its "$path" in the project file`
+          : 'Create the missing folder, or fix the "$path" that points to it in the project file',
+        'Paths are relative to the folder that holds the project file'
+      ];
+    },
+    action: 'open-file'
+  },
+  {
+    id: 'unsupported-version',
+    pattern: /older version of rojo|newer version of rojo|unsupported|unknown field|unknown variant/i,
+    title: 'The project file uses a format this Rojo version does not support',
+    fixes: () => [
+      `Update Rojo to ${config.MIN_VERSIONS.rojo} or newer: yoblox-setup update`,
+      'Or remove the fields Rojo reports as unknown from the project file'
+    ],
+    action: 'update'
+  },
+  {
+    id: 'invalid-json',
+    pattern: JSON_SYNTAX,
+    title: 'The project file is not valid JSON',
+    fixes: (match, output) => {
+      const position = output.match(LINE_COLUMN);
+      return [
+        position
+          ? `Fix the JSON syntax near line ${position[1]}, column ${position[2]}`
+          : 'Fix the JSON syntax of the project file',
+        'Look for a missing or extra comma, bracket or quote'
+      ];
+    },
+    action: 'open-file'
+  }
+];
+
+/**
+ * Find the project file Rojo complained about
+ * @param {string} output - Rojo output
+ * @param {string} projectPath - Project folder
+ * @param {string} [projectFile] - Project file that was used, when the
+ *   output names none (default: default.project.json)
+ * @returns {string} Absolute path of the project file
+ */
+function findProjectFile(output, projectPath, projectFile) {
+  const match = output.match(PROJECT_FILE);
+
+  if (match) {
+    const file = path.resolve(projectPath, match[1]);
+    if (fs.existsSync(file)) {
+      return file;
+    }
+  }
+
+  return path.resolve(projectPath, projectFile || 'default.project.json');
+}
+
+/**
+ * Work out why Rojo failed to start
+ * @param {string} output - Rojo output (stdout and stderr)
+ * @param {string} projectPath - Project folder that was served
+ * @param {string} [projectFile] - Project file that was served or built
+ * @returns {Object|null} Diagnosis with id, title, fixes, action, file,
+ *   line and column, or null if the output matches no known failure
+ */
+function diagnose(output, projectPath, projectFile) {
+  if (!output) {
+    return null;
+  }
+
+  // The first signature wins, so the more specific ones come first
+  for (const signature of SIGNATURES) {
+    const match = output.match(signature.pattern);
+
+    if (match) {
+      const position = output.match(LINE_COLUMN);
+
+      return {
+        id: signature.id,
+        title: signature.title,
+        fixes: signature.fixes(match, output),
+        action: signature.action,
+        file: findProjectFile(output, projectPath, projectFile),
+        line: position ? parseInt(position[1], 10) : null,
+        column: position ? parseInt(position[2], 10) : null
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  SIGNATURES,
+  diagnose
+};
@@ -0,0 +1,483 @@
+/**
+ * Rojo Server Utility
+ *
+ * Starts, finds and stops the project's `rojo serve` process. The server
+ * runs detached with a pidfile (see process.startDetached), so it keeps
+ * running after the wizard exits and both the wizard and the `serve`
+ * command can reattach to it later.
+ *
+ * supervise() watches a running server and restarts it after crashes.
+ * Its latest status is stored in the pidfile (`health`) for `serve --status`.
+ *
+ * waitForReady() watches the server's output for the line Rojo prints once
+ * it listens, so a server that dies on startup is noticed right away
+ * instead of after a port timeout.
+ *
+ * A project can have several *.project.json files (a test place, a lobby
+ * and a game, ...). Each one is served by its own server on its own port,
+ * named after the file: `rojo-server` for default.project.json,
+ * `rojo-server-<name>` for <name>.project.json.
+ *
+ * A server listens on localhost unless given another address (`--address`):
+ * 0.0.0.0 serves every network, so Studio on another machine, or on
+ * Windows while the wizard runs in WSL, can connect. getConnectHosts()
+ * lists what to type into the Studio plugin for such an address.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const processManager = require('./process');
+const progress = require('./progress');
+const network = require('./network');
+const system = require('./system');
+const rojoApi = require('./rojoApi');
+const Supervisor = require('./supervisor');
+const config = require('../config');
+
+// Pidfile name of the Rojo server for default.project.json
+const SERVER_NAME = 'rojo-server';
+
+// Project file served when none is chosen
+const DEFAULT_PROJECT_FILE = 'default.project.json';
+
+// Folders never searched for project files
+const IGNORED_FOLDERS = ['node_modules', 'Packages', 'ServerPackages', 'DevPackages'];
+
+// How deep findProjectFiles() looks below the project folder
+const SEARCH_DEPTH = 2;
+
+// Printed by `rojo serve` once it accepts connections
+const READY_LINE = /Rojo server listening/i;
+
+/**
+ * Find a free Rojo port: the default port, or the first free one of the
+ * PORT_SEARCH_RANGE ports after it
+ * @param {Object} options - Options
+ * @param {boolean} options.skipDefault - Only look after the default port
+ * @returns {Promise<number|null>} Free port or null if all are in use
+ */
+async function findPort(options = {}) {
+  const { DEFAULT_PORT, PORT_SEARCH_RANGE } = config.ROJO;
+
+  return options.skipDefault
+    ? await network.findFreePort(DEFAULT_PORT + 1, PORT_SEARCH_RANGE)
+    : await network.findFreePort(DEFAULT_PORT, PORT_SEARCH_RANGE + 1);
+}
+
+/**
+ * Describe the last port findPort() tries
+ * @returns {string} Port range such as "34872-34892"
+ */
+function getPortRange() {
+  const { DEFAULT_PORT, PORT_SEARCH_RANGE } = config.ROJO;
+  return `${DEFAULT_PORT}-${DEFAULT_PORT + PORT_SEARCH_RANGE}`;
+}
+
+/**
+ * Get the host this machine reaches a server on
+ * @param {string} address - Address the server listens on
+ * @returns {string} 'localhost' for localhost and 0.0.0.0, else the address
+ */
+function getLocalHost(address = config.ROJO.DEFAULT_ADDRESS) {
+  return ['localhost', '0.0.0.0', '::'].includes(address) ? 'localhost' : address;
+}
+
+/**
+ * Check if an address only serves this machine
+ * @param {string} address - Address the server listens on
+ * @returns {boolean} True for localhost and the loopback addresses
+ */
+function isLoopback(address = config.ROJO.DEFAULT_ADDRESS) {
+  return ['localhost', '127.0.0.1', '::1'].includes(address);
+}
+
+/**
+ * List the hosts the Studio plugin can connect to a server with
+ * @param {string} address - Address the server listens on
+ * @returns {Array<Object>} Hosts with host, label and local flag (reached
+ *   from this machine rather than from the network)
+ */
+function getConnectHosts(address = config.ROJO.DEFAULT_ADDRESS) {
+  if (isLoopback(address)) {
+    return [{ host: 'localhost', label: 'this machine', local: true }];
+  }
+
+  if (!['0.0.0.0', '::'].includes(address)) {
+    return [{ host: address, label: 'the chosen address', local: false }];
+  }
+
+  const hosts = system.isWSL()
+    ? [{ host: 'localhost', label: 'Windows (WSL forwards localhost)', local: true }]
+    : [{ host: 'localhost', label: 'this machine', local: true }];
+
+  for (const entry of network.getLanAddresses()) {
+    hosts.push({
+      host: entry.address,
+      label: system.isWSL() ? `${entry.name} (WSL network, for Windows)` : `${entry.name} (other machines)`,
+      local: false
+    });
+  }
+
+  return hosts;
+}
+
+/**
+ * Get the process name of the server for a project file
+ * @param {string} projectFile - Project file, relative to the project folder
+ * @returns {string} Name such as "rojo-server" or "rojo-server-test"
+ */
+function getServerName(projectFile = DEFAULT_PROJECT_FILE) {
+  if (projectFile === DEFAULT_PROJECT_FILE) {
+    return SERVER_NAME;
+  }
+
+  const name = projectFile.replace(/\.project\.json$/, '').replace(/[^A-Za-z0-9_-]+/g, '-');
+  return `${SERVER_NAME}-${name}`;
+}
+
+/**
+ * Find the Rojo project files of a project
+ * @param {string} projectPath - Project folder
+ * @returns {Array<string>} Project files relative to the folder (with
+ *   forward slashes), default.project.json first
+ */
+function findProjectFiles(projectPath) {
+  const files = [];
+
+  const search = (dir, depth) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (entry.isFile() && entry.name.endsWith('.project.json')) {
+        files.push(path.relative(projectPath, path.join(dir, entry.name)).split(path.sep).join('/'));
+      } else if (entry.isDirectory() && depth < SEARCH_DEPTH &&
+                 !entry.name.startsWith('.') && !IGNORED_FOLDERS.includes(entry.name)) {
+        search(path.join(dir, entry.name), depth + 1);
+      }
+    }
+  };
+
+  search(path.resolve(projectPath), 0);
+
+  return files.sort((a, b) => {
+    if (a === DEFAULT_PROJECT_FILE || b === DEFAULT_PROJECT_FILE) {
+      return a === DEFAULT_PROJECT_FILE ? -1 : 1;
+    }
+    return a.localeCompare(b);
+  });
+}
+
+/**
+ * Check if a folder contains a Rojo project file
+ * @param {string} dir - Folder to check
+ * @returns {boolean} True if it has a *.project.json
+ */
+function hasProjectFile(dir) {
+  return fs.existsSync(dir) && fs.readdirSync(dir).some(file => file.endsWith('.project.json'));
+}
+
+/**
+ * Pick the project file of a folder: default.project.json if there is
+ * one, otherwise the first one found
+ * @param {string} projectPath - Project folder
+ * @returns {Object} Project folder and file
+ */
+function withProjectFile(projectPath) {
+  const files = findProjectFiles(projectPath);
+  return { projectPath, projectFile: files[0] || DEFAULT_PROJECT_FILE };
+}
+
+/**
+ * Work out which project a command works on: the folder or
+ * *.project.json given, else the current folder if it has a
+ * *.project.json, else the project from the saved setup session
+ * @param {string} target - Folder or project file from the command line (optional)
+ * @param {string} session - Saved progress session (default: "default")
+ * @returns {Object} Project folder (projectPath) and project file (projectFile)
+ */
+function resolveProject(target, session) {
+  if (target) {
+    const resolved = path.resolve(target);
+
+    if (resolved.endsWith('.project.json')) {
+      if (!fs.existsSync(resolved)) {
+        throw new Error(`Project file not found: ${resolved}`);
+      }
+      return { projectPath: path.dirname(resolved), projectFile: path.basename(resolved) };
+    }
+
+    if (!hasProjectFile(resolved)) {
+      throw new Error(`No *.project.json found in ${resolved}`);
+    }
+    return withProjectFile(resolved);
+  }
+
+  if (hasProjectFile(process.cwd())) {
+    return withProjectFile(process.cwd());
+  }
+
+  const saved = progress.load(session || progress.DEFAULT_SESSION);
+  const projectPath = saved && saved.context && saved.context.projectPath;
+
+  if (projectPath && hasProjectFile(projectPath)) {
+    return withProjectFile(projectPath);
+  }
+
+  throw new Error('No Rojo project found. Run this in a project folder, pass the folder, or run yoblox-setup first.');
+}
+
+/**
+ * Start a detached Rojo server for a project
+ * @param {Object} options - Options
+ * @param {string} options.projectPath - Project folder to serve
+ * @param {string} options.projectFile - Project file to serve (default: default.project.json)
+ * @param {number} options.port - Port to listen on
+ * @param {string} options.address - Address to listen on (default: localhost)
+ * @param {string} options.startedBy - 'wizard' or 'serve', recorded in the pidfile
+ * @returns {Promise<Object>} Server record (pid, port, project, ...)
+ */
+async function start(options) {
+  const projectPath = path.resolve(options.projectPath);
+  const projectFile = options.projectFile || DEFAULT_PROJECT_FILE;
+  const address = options.address || config.ROJO.DEFAULT_ADDRESS;
+  const args = ['serve', projectFile, '--port', String(options.port)];
+
+  // Rojo listens on localhost by default
+  if (address !== 'localhost') {
+    args.push('--address', address);
+  }
+
+  return await processManager.startDetached(
+    config.WINDOWS.ROJO_COMMAND,
+    args,
+    getServerName(projectFile),
+    {
+      cwd: projectPath,
+      meta: {
+        port: options.port,
+        address,
+        project: projectPath,
+        projectFile,
+        startedBy: options.startedBy || 'wizard'
+      }
+    }
+  );
+}
+
+/**
+ * Take over a Rojo server that was started outside yoblox-setup (or whose
+ * pidfile was lost), so it is supervised and stopped like our own
+ * @param {Object} owner - Port owner from network.getPortOwner()
+ * @param {Object} options - Options
+ * @param {string} options.projectPath - Project folder it serves
+ * @param {string} options.projectFile - Project file it serves (default: default.project.json)
+ * @param {number} options.port - Port it listens on
+ * @param {string} options.address - Address it listens on (default: localhost)
+ * @param {string} options.startedBy - Recorded in the pidfile (default: 'adopted')
+ * @returns {Object} Server record
+ */
+function adopt(owner, options) {
+  const projectPath = path.resolve(options.projectPath);
+  const projectFile = options.projectFile || DEFAULT_PROJECT_FILE;
+
+  return processManager.adoptDetached(getServerName(projectFile), owner.pid, {
+    cwd: owner.cwd || projectPath,
+    meta: {
+      port: options.port,
+      address: options.address || config.ROJO.DEFAULT_ADDRESS,
+      project: projectPath,
+      projectFile,
+      startedBy: options.startedBy || 'adopted'
+    }
+  });
+}
+
+/**
+ * Add the URL, listening flag, address and project file to a pidfile record
+ * @param {Object} record - Pidfile record
+ * @returns {Promise<Object>} Server record
+ */
+async function describe(record) {
+  // Records written before these were stored
+  const address = record.address || config.ROJO.DEFAULT_ADDRESS;
+  const host = getLocalHost(address);
+
+  return {
+    ...record,
+    projectFile: record.projectFile || DEFAULT_PROJECT_FILE,
+    address,
+    host,
+    url: `http://${host}:${record.port}`,
+    listening: await network.isPortOpen(record.port, host)
+  };
+}
+
+/**
+ * Get the running Rojo server for a project file, if any, including ones
+ * started by an earlier wizard run or by `yoblox-setup serve`
+ * @param {string} projectFile - Project file (default: default.project.json)
+ * @param {Object} options - Options passed to processManager.getDetached()
+ * @returns {Promise<Object|null>} Server record with a listening flag, or null
+ */
+async function getServer(projectFile = DEFAULT_PROJECT_FILE, options = {}) {
+  const record = processManager.getDetached(getServerName(projectFile), options);
+  return record ? await describe(record) : null;
+}
+
+/**
+ * Get every running Rojo server
+ * @param {Object} options - Options passed to processManager.getDetached()
+ * @returns {Promise<Array<Object>>} Server records with listening flags
+ */
+async function listServers(options = {}) {
+  const records = processManager.listDetached(SERVER_NAME, options);
+  return await Promise.all(records.map(record => describe(record)));
+}
+
+/**
+ * Check if a server record serves the given project (and project file)
+ * @param {Object} server - Server record from getServer()
+ * @param {string} projectPath - Project folder
+ * @param {string} projectFile - Project file (default: default.project.json)
+ * @returns {boolean} True if it serves that project
+ */
+function isServing(server, projectPath, projectFile = DEFAULT_PROJECT_FILE) {
+  return Boolean(server && projectPath && server.project === path.resolve(projectPath) &&
+    (server.projectFile || DEFAULT_PROJECT_FILE) === projectFile);
+}
+
+/**
+ * Stop the Rojo server for a project file
+ * @param {string} projectFile - Project file (default: default.project.json)
+ * @returns {Promise<boolean>} True if a server was stopped
+ */
+async function stop(projectFile = DEFAULT_PROJECT_FILE) {
+  return await processManager.stopDetached(getServerName(projectFile));
+}
+
+/**
+ * Wait until a just-started server reports it is listening
+ * @param {Object} server - Server record from start()
+ * @param {number} timeout - How long to wait in ms (default: PORT_CHECK_TIMEOUT)
+ * @returns {Promise<boolean>} True if ready, false if it exited or timed out
+ */
+async function waitForReady(server, timeout = config.ROJO.PORT_CHECK_TIMEOUT) {
+  if (await processManager.waitForOutput(server.name, READY_LINE, timeout)) {
+    return true;
+  }
+
+  // Rojo versions that word the line differently still open the port
+  return Boolean(processManager.getDetached(server.name)) &&
+    await network.isPortOpen(server.port, getLocalHost(server.address));
+}
+
+/**
+ * Check that the server listens and answers the Rojo API
+ * @param {number} port - Server port
+ * @param {string} host - Host to check on (default: localhost)
+ * @returns {Promise<Object>} Result with healthy flag and reason
+ */
+async function checkHealth(port, host = 'localhost') {
+  if (!(await network.isPortOpen(port, host))) {
+    return { healthy: false, reason: `port ${port} is not listening` };
+  }
+
+  const response = await rojoApi.getInfo(port, { host });
+
+  if (!response.success) {
+    return { healthy: false, reason: `no answer from /api/rojo (${response.error})` };
+  }
+
+  return { healthy: true };
+}
+
+/**
+ * Supervise a running server: health checks at
+ * config.ROJO.HEALTH_CHECK_INTERVAL and restarts (same project and port)
+ * after crashes. Call watch() on the result to begin.
+ * @param {Object} server - Server record from start() or getServer()
+ * @param {Object} options - Supervisor options (e.g. keepAlive)
+ * @returns {Supervisor} Supervisor for the server
+ */
+function supervise(server, options = {}) {
+  const projectFile = server.projectFile || DEFAULT_PROJECT_FILE;
+  const name = getServerName(projectFile);
+  const address = server.address || config.ROJO.DEFAULT_ADDRESS;
+
+  // The process this supervisor started (or was given) last
+  let current = server;
+
+  const supervisor = new Supervisor({
+    ...options,
+    name,
+    start: async () => {
+      current = await start({ projectPath: server.project, projectFile, port: server.port, address, startedBy: server.startedBy });
+      return current;
+    },
+    stop: () => stop(projectFile),
+    // A crashed server leaves its pidfile behind; a stopped one doesn't,
+    // and a server started elsewhere since has a different PID
+    isStopped: async () => {
+      const record = processManager.readPidFile(name);
+      return !record || record.pid !== current.pid;
+    },
+    isAlive: async () => Boolean(processManager.getDetached(name)),
+    healthCheck: () => {
+      // Nothing else keeps the detached server's log from growing
+      processManager.rotateDetachedLog(name);
+      return checkHealth(server.port, getLocalHost(address));
+    },
+    getOutput: () => getOutput(undefined, projectFile)
+  });
+
+  supervisor.on('status', ({ status, reason, restarts, lastCrash }) => {
+    // No longer supervised is not news about the server itself
+    if (status === 'stopped') {
+      return;
+    }
+
+    processManager.updateDetached(name, {
+      health: { status, reason: reason || null, restarts, lastCrash, time: Date.now() }
+    });
+  });
+
+  return supervisor;
+}
+
+/**
+ * Get a server's recent output (for troubleshooting)
+ * @param {number} lines - Number of lines (default BUFFER_LINES)
+ * @param {string} projectFile - Project file (default: default.project.json)
+ * @returns {string} Last lines of output
+ */
+function getOutput(lines, projectFile = DEFAULT_PROJECT_FILE) {
+  return processManager.getDetachedOutput(getServerName(projectFile), lines);
+}
+
+module.exports = {
+  SERVER_NAME,
+  DEFAULT_PROJECT_FILE,
+  getServerName,
+  findProjectFiles,
+  resolveProject,
+  findPort,
+  getPortRange,
+  getLocalHost,
+  isLoopback,
+  getConnectHosts,
+  start,
+  adopt,
+  getServer,
+  listServers,
+  isServing,
+  stop,
+  waitForReady,
+  getOutput,
+  checkHealth,
+  supervise
+};
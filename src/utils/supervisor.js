@@ -0,0 +1,245 @@
+/**
+ * Process Supervisor
+ *
+ * Watches a running background process (the Rojo server) and restarts
+ * it when it crashes or stops responding. Every HEALTH_CHECK_INTERVAL it
+ * checks that the process is alive and passes its health check; a dead
+ * process, or one that fails UNHEALTHY_CHECKS checks in a row, is
+ * restarted with exponential backoff, up to MAX_RESTARTS times in a row.
+ *
+ * The supervisor is an EventEmitter. Events:
+ *   - status  { name, status, previous, reason, restarts, delay }
+ *             status is running, unhealthy, restarting, failed or stopped
+ *   - crash   { name, reason, output }
+ *             reason is taken from the process output when possible
+ */
+
+const { EventEmitter } = require('events');
+const config = require('../config');
+
+// Healthy checks in a row after which earlier crashes are forgiven
+const STABLE_CHECKS = 10;
+
+// Output lines that usually explain why a process died
+const ERROR_LINE = /error|panic|failed|invalid|could not|couldn't|cannot|denied/i;
+
+/**
+ * Pick the line that best explains a crash from the process output
+ * @param {string} output - Process output (stdout and stderr)
+ * @returns {string|null} Crash reason or null if there is no output
+ */
+function getCrashReason(output) {
+  const lines = (output || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  if (lines.length === 0) {
+    return null;
+  }
+
+  const errorLines = lines.filter(line => ERROR_LINE.test(line));
+  return errorLines.length > 0 ? errorLines[errorLines.length - 1] : lines[lines.length - 1];
+}
+
+class Supervisor extends EventEmitter {
+  /**
+   * Create a supervisor
+   * @param {Object} options - Options
+   * @param {string} options.name - Process name (used in events)
+   * @param {Function} options.start - async () => record, starts the process again
+   * @param {Function} options.stop - async () => void, stops a hung process
+   * @param {Function} options.isAlive - async () => boolean
+   * @param {Function} options.isStopped - async () => boolean, true if the
+   *   process was stopped on purpose elsewhere, so it is not restarted
+   *   (optional)
+   * @param {Function} options.healthCheck - async () => { healthy, reason }
+   * @param {Function} options.getOutput - () => string, output of the last run
+   * @param {number} options.interval - Health check interval in ms
+   * @param {boolean} options.keepAlive - Keep Node running while supervising
+   *   (by default the supervisor does not hold the process open)
+   */
+  constructor(options) {
+    super();
+    this.name = options.name;
+    this.startProcess = options.start;
+    this.stopProcess = options.stop;
+    this.isAlive = options.isAlive;
+    this.isStopped = options.isStopped || (async () => false);
+    this.healthCheck = options.healthCheck;
+    this.getOutput = options.getOutput || (() => '');
+    this.interval = options.interval || config.ROJO.HEALTH_CHECK_INTERVAL;
+    this.keepAlive = Boolean(options.keepAlive);
+
+    this.status = 'stopped';
+    this.restarts = 0;
+    this.failedChecks = 0;
+    this.stableChecks = 0;
+    this.lastCrash = null;
+    this.timer = null;
+  }
+
+  /**
+   * Start supervising the (already running) process
+   */
+  watch() {
+    if (this.status !== 'stopped') {
+      return;
+    }
+
+    this.restarts = 0;
+    this.failedChecks = 0;
+    this.stableChecks = 0;
+    this.setStatus('running');
+    this.schedule(this.interval, () => this.tick());
+  }
+
+  /**
+   * Stop supervising. The process itself keeps running.
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.setStatus('stopped');
+  }
+
+  /**
+   * Change status and tell listeners
+   * @param {string} status - New status
+   * @param {Object} details - Extra event details (reason, delay)
+   */
+  setStatus(status, details = {}) {
+    const previous = this.status;
+
+    if (status === previous && !details.reason) {
+      return;
+    }
+
+    this.status = status;
+    this.emit('status', {
+      name: this.name,
+      status,
+      previous,
+      restarts: this.restarts,
+      lastCrash: this.lastCrash,
+      ...details
+    });
+  }
+
+  /**
+   * Run a function after a delay
+   * @param {number} delay - Delay in ms
+   * @param {Function} fn - Function to run
+   */
+  schedule(delay, fn) {
+    this.timer = setTimeout(fn, delay);
+
+    if (!this.keepAlive) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Check the process once and react to what is found
+   * @returns {Promise<void>}
+   */
+  async tick() {
+    this.timer = null;
+
+    // Stopped from elsewhere (e.g. `serve --stop`): not a crash
+    if (await this.isStopped()) {
+      this.setStatus('stopped', { reason: 'Stopped outside the supervisor' });
+      return;
+    }
+
+    if (!(await this.isAlive())) {
+      return this.handleCrash(getCrashReason(this.getOutput()) || 'The process exited unexpectedly');
+    }
+
+    const health = await this.healthCheck();
+
+    // stop() may have been called while checking
+    if (this.status === 'stopped') {
+      return;
+    }
+
+    if (health.healthy) {
+      this.failedChecks = 0;
+      this.stableChecks++;
+
+      if (this.stableChecks >= STABLE_CHECKS) {
+        this.restarts = 0;
+      }
+
+      this.setStatus('running');
+    } else {
+      this.failedChecks++;
+      this.stableChecks = 0;
+      this.setStatus('unhealthy', { reason: health.reason });
+
+      if (this.failedChecks >= config.ROJO.UNHEALTHY_CHECKS) {
+        await this.stopProcess();
+        return this.handleCrash(`Stopped responding (${health.reason})`);
+      }
+    }
+
+    this.schedule(this.interval, () => this.tick());
+  }
+
+  /**
+   * Report a crash and schedule a restart, or give up after too many
+   * @param {string} reason - Why the process died
+   */
+  handleCrash(reason) {
+    if (this.status === 'stopped') {
+      return;
+    }
+
+    this.lastCrash = { reason, time: Date.now() };
+    this.emit('crash', { name: this.name, reason, output: this.getOutput() });
+
+    if (this.restarts >= config.ROJO.MAX_RESTARTS) {
+      this.setStatus('failed', { reason: `Crashed ${this.restarts + 1} times in a row: ${reason}` });
+      return;
+    }
+
+    this.restarts++;
+    const delay = Math.min(
+      config.ROJO.RESTART_DELAY * Math.pow(2, this.restarts - 1),
+      config.RETRY_MAX_DELAY
+    );
+
+    this.setStatus('restarting', { reason, delay });
+    this.schedule(delay, () => this.restart());
+  }
+
+  /**
+   * Start the process again
+   * @returns {Promise<void>}
+   */
+  async restart() {
+    this.timer = null;
+
+    if (this.status === 'stopped') {
+      return;
+    }
+
+    try {
+      await this.startProcess();
+    } catch (error) {
+      return this.handleCrash(getCrashReason(this.getOutput()) || error.message);
+    }
+
+    // stop() was called while it was starting: nobody wants this one
+    if (this.status === 'stopped') {
+      await this.stopProcess();
+      return;
+    }
+
+    this.failedChecks = 0;
+    this.stableChecks = 0;
+    this.setStatus('running');
+    this.schedule(this.interval, () => this.tick());
+  }
+}
+
+Supervisor.getCrashReason = getCrashReason;
+
+module.exports = Supervisor;
@@ -0,0 +1,358 @@
+/**
+ * Syncback Utility
+ *
+ * Pulls edits made in Studio back into the project with Rojo's syncback
+ * (`rojo syncback --input <place file>`). Rojo never writes into the
+ * project itself: it runs on a temporary copy of the project file and its
+ * mapped paths (every `$path` in the project tree), and the copy is
+ * compared with the project file by file. Only the changes that are
+ * chosen are applied, and every file they overwrite or delete is backed
+ * up to backups/syncback-<time>/ in the data directory first.
+ *
+ * Mapped paths outside the project folder are never synced back: in the
+ * copy they point to a scratch folder inside it, so Rojo cannot write
+ * outside the copy.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const installer = require('./installer');
+const system = require('./system');
+const config = require('../config');
+
+// Folder in the copy that mapped paths outside the project point to
+const OUTSIDE_FOLDER = '.yoblox-outside';
+
+// Folders never copied or compared
+const IGNORED_FOLDERS = ['.git', 'node_modules', OUTSIDE_FOLDER];
+
+/**
+ * Check if a mapped path is outside the project folder
+ * @param {string} mappedPath - Path from getMappedPaths()
+ * @returns {boolean} True if outside
+ */
+function isOutside(mappedPath) {
+  return mappedPath === '..' || mappedPath.startsWith('../') || path.isAbsolute(mappedPath);
+}
+
+/**
+ * Resolve a `$path` to a path relative to the project folder
+ * @param {string} projectPath - Project folder
+ * @param {string} projectFile - Project file the `$path` is in
+ * @param {string} mapped - The `$path`, relative to the project file's folder
+ * @returns {string} Path relative to the project folder (with forward
+ *   slashes), absolute if it is on another drive
+ */
+function resolveMappedPath(projectPath, projectFile, mapped) {
+  const root = path.resolve(projectPath);
+  const relative = path.relative(root, path.resolve(root, path.dirname(projectFile), mapped));
+
+  return (relative || '.').split(path.sep).join('/');
+}
+
+/**
+ * Collect the `$path` values of a project file, as written
+ * @param {Object} node - Project tree node
+ * @param {Array<string>} values - Values found so far
+ * @returns {Array<string>} Values
+ */
+function collectPathValues(node, values = []) {
+  if (!node || typeof node !== 'object') {
+    return values;
+  }
+
+  // "$path": "src" or "$path": { "optional": "src" }
+  const mapped = typeof node.$path === 'object' && node.$path ? node.$path.optional : node.$path;
+  if (typeof mapped === 'string') {
+    values.push(mapped);
+  }
+
+  for (const [key, child] of Object.entries(node)) {
+    if (!key.startsWith('$')) {
+      collectPathValues(child, values);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Collect the `$path` entries of a project file
+ * @param {string} projectPath - Project folder
+ * @param {string} projectFile - Project file, relative to the project folder
+ * @returns {Array<string>} Mapped paths relative to the project folder
+ *   (with forward slashes), without duplicates
+ */
+function getMappedPaths(projectPath, projectFile) {
+  const project = JSON.parse(fs.readFileSync(path.join(projectPath, projectFile), 'utf8'));
+  const paths = collectPathValues(project.tree).map(mapped => resolveMappedPath(projectPath, projectFile, mapped));
+
+  return [...new Set(paths)].sort();
+}
+
+/**
+ * List the files below a path
+ * @param {string} root - Folder the result is relative to
+ * @param {string} relative - File or folder below root
+ * @returns {Array<string>} Files relative to root (with forward slashes)
+ */
+function listFiles(root, relative) {
+  const full = path.join(root, relative);
+
+  if (!fs.existsSync(full)) {
+    return [];
+  }
+
+  if (!fs.statSync(full).isDirectory()) {
+    return [relative.split(path.sep).join('/')];
+  }
+
+  const files = [];
+  for (const entry of fs.readdirSync(full, { withFileTypes: true })) {
+    if (entry.isDirectory() && IGNORED_FOLDERS.includes(entry.name)) {
+      continue;
+    }
+    files.push(...listFiles(root, path.join(relative, entry.name)));
+  }
+  return files;
+}
+
+/**
+ * Copy a file or folder, creating parent folders
+ * @param {string} source - File or folder to copy
+ * @param {string} target - Where to copy it
+ */
+function copyRecursive(source, target) {
+  if (!fs.existsSync(source)) {
+    return;
+  }
+
+  if (fs.statSync(source).isDirectory()) {
+    fs.mkdirSync(target, { recursive: true });
+    for (const entry of fs.readdirSync(source, { withFileTypes: true })) {
+      if (!(entry.isDirectory() && IGNORED_FOLDERS.includes(entry.name))) {
+        copyRecursive(path.join(source, entry.name), path.join(target, entry.name));
+      }
+    }
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.copyFileSync(source, target);
+}
+
+/**
+ * Copy the project file and its mapped paths to a temporary folder. A
+ * `$path` outside the project folder is pointed to a copy of its target
+ * in OUTSIDE_FOLDER instead, which is never compared or applied.
+ * @param {string} projectPath - Project folder
+ * @param {string} projectFile - Project file
+ * @param {Array<string>} mappedPaths - Paths inside the project from
+ *   getMappedPaths()
+ * @returns {Object} Workspace with dir (remove with removeWorkspace()) and
+ *   the `$path` values that were rewritten (see restoreProjectFile())
+ */
+function createWorkspace(projectPath, projectFile, mappedPaths) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yoblox-syncback-'));
+  const source = fs.readFileSync(path.join(projectPath, projectFile), 'utf8');
+  const outside = collectPathValues(JSON.parse(source).tree)
+    .filter(mapped => isOutside(resolveMappedPath(projectPath, projectFile, mapped)));
+  const rewrites = [];
+  let text = source;
+
+  for (const original of new Set(outside)) {
+    const placeholder = `${OUTSIDE_FOLDER}/${rewrites.length}/${path.basename(original)}`;
+
+    copyRecursive(
+      path.resolve(projectPath, path.dirname(projectFile), original),
+      path.join(dir, path.dirname(projectFile), placeholder)
+    );
+
+    // Replaced as text, so the copy keeps the project file's formatting
+    text = text.split(JSON.stringify(original)).join(JSON.stringify(placeholder));
+    rewrites.push({ original, placeholder });
+  }
+
+  for (const relative of mappedPaths) {
+    copyRecursive(path.join(projectPath, relative), path.join(dir, relative));
+  }
+
+  // After the mapped paths, which may contain the project file itself
+  fs.mkdirSync(path.dirname(path.join(dir, projectFile)), { recursive: true });
+  fs.writeFileSync(path.join(dir, projectFile), text);
+
+  return { dir, rewrites };
+}
+
+/**
+ * Point the `$path` values createWorkspace() rewrote back to their
+ * original targets, so only Rojo's own edits to the project file remain
+ * @param {Object} workspace - Workspace from createWorkspace()
+ * @param {string} projectFile - Project file
+ */
+function restoreProjectFile(workspace, projectFile) {
+  const file = path.join(workspace.dir, projectFile);
+
+  if (workspace.rewrites.length === 0 || !fs.existsSync(file)) {
+    return;
+  }
+
+  let text = fs.readFileSync(file, 'utf8');
+  for (const { original, placeholder } of workspace.rewrites) {
+    text = text.split(JSON.stringify(placeholder)).join(JSON.stringify(original));
+  }
+  fs.writeFileSync(file, text);
+}
+
+/**
+ * Remove a temporary folder from createWorkspace()
+ * @param {Object} workspace - Workspace from createWorkspace()
+ */
+function removeWorkspace(workspace) {
+  try {
+    fs.rmSync(workspace.dir, { recursive: true, force: true });
+  } catch (error) {
+    // The OS cleans its temp folder eventually
+  }
+}
+
+/**
+ * Run Rojo's syncback on a temporary copy of the project
+ * @param {Object} workspace - Workspace from createWorkspace()
+ * @param {string} projectFile - Project file
+ * @param {string} input - Place or model file saved from Studio
+ * @returns {Promise<Object>} Result with success flag, Rojo's output and error
+ */
+async function runSyncback(workspace, projectFile, input) {
+  const result = await installer.runCommand(
+    config.WINDOWS.ROJO_COMMAND,
+    ['syncback', `"${projectFile}"`, '--input', `"${path.resolve(input)}"`, '--non-interactive'],
+    { cwd: workspace.dir, stdio: 'pipe' }
+  );
+  const output = [result.stdout, result.stderr].filter(Boolean).join('\n');
+
+  if (!result.success) {
+    return { success: false, output, error: `rojo syncback exited with code ${result.exitCode}` };
+  }
+
+  restoreProjectFile(workspace, projectFile);
+  return { success: true, output };
+}
+
+/**
+ * Check if two files have the same content
+ * @param {string} a - File path
+ * @param {string} b - File path
+ * @returns {boolean} True if equal
+ */
+function sameContent(a, b) {
+  if (fs.statSync(a).size !== fs.statSync(b).size) {
+    return false;
+  }
+  return fs.readFileSync(a).equals(fs.readFileSync(b));
+}
+
+/**
+ * Compare the synced-back copy with the project
+ * @param {string} projectPath - Project folder
+ * @param {Object} workspace - Workspace Rojo wrote to, from createWorkspace()
+ * @param {string} projectFile - Project file
+ * @param {Array<string>} mappedPaths - Paths inside the project from
+ *   getMappedPaths()
+ * @returns {Array<Object>} Changes with file (relative, forward slashes),
+ *   type ('create', 'change' or 'delete'), size (of the new file) and
+ *   root (the mapped path the file is in)
+ */
+function diff(projectPath, workspace, projectFile, mappedPaths) {
+  // File -> innermost mapped path it is in
+  const roots = new Map();
+
+  for (const relative of [projectFile, ...mappedPaths]) {
+    for (const file of [...listFiles(projectPath, relative), ...listFiles(workspace.dir, relative)]) {
+      if (!roots.has(file) || relative.length > roots.get(file).length) {
+        roots.set(file, relative);
+      }
+    }
+  }
+
+  const changes = [];
+
+  for (const file of [...roots.keys()].sort()) {
+    const current = path.join(projectPath, file);
+    const synced = path.join(workspace.dir, file);
+    const before = fs.existsSync(current);
+    const after = fs.existsSync(synced);
+    const root = roots.get(file);
+
+    if (after && !before) {
+      changes.push({ file, type: 'create', size: fs.statSync(synced).size, root });
+    } else if (before && !after) {
+      changes.push({ file, type: 'delete', size: 0, root });
+    } else if (!sameContent(current, synced)) {
+      changes.push({ file, type: 'change', size: fs.statSync(synced).size, root });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Remove folders left empty by a deletion, up to (not including) the
+ * mapped path the file was in
+ * @param {string} dir - Folder the deleted file was in
+ * @param {string} root - Mapped path (never removed)
+ */
+function removeEmptyFolders(dir, root) {
+  let current = dir;
+
+  while (current.startsWith(root + path.sep) && fs.readdirSync(current).length === 0) {
+    fs.rmdirSync(current);
+    current = path.dirname(current);
+  }
+}
+
+/**
+ * Apply chosen changes to the project, backing up every file that is
+ * overwritten or deleted first
+ * @param {string} projectPath - Project folder
+ * @param {Object} workspace - Workspace Rojo wrote to, from createWorkspace()
+ * @param {Array<Object>} changes - Changes from diff() to apply
+ * @returns {Object} Result with applied count and backupDir (null if
+ *   nothing needed a backup)
+ */
+function apply(projectPath, workspace, changes) {
+  const root = path.resolve(projectPath);
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupDir = path.join(system.getDataDir(), 'backups', `syncback-${stamp}`);
+  let backedUp = 0;
+
+  for (const change of changes) {
+    const target = path.join(root, change.file);
+
+    if (change.type !== 'create') {
+      copyRecursive(target, path.join(backupDir, change.file));
+      backedUp++;
+    }
+
+    if (change.type === 'delete') {
+      fs.unlinkSync(target);
+      removeEmptyFolders(path.dirname(target), path.join(root, change.root));
+    } else {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(path.join(workspace.dir, change.file), target);
+    }
+  }
+
+  return { applied: changes.length, backupDir: backedUp > 0 ? backupDir : null };
+}
+
+module.exports = {
+  isOutside,
+  getMappedPaths,
+  createWorkspace,
+  removeWorkspace,
+  runSyncback,
+  diff,
+  apply
+};
@@ -5,6 +5,7 @@
  */
 
 const os = require('os');
+const path = require('path');
 const { execSync } = require('child_process');
 const semver = require('semver');
 
@@ -128,6 +129,26 @@ function getHomeDir() {
   return os.homedir();
 }
 
+/**
+ * Get the per-user data directory for yoblox-setup
+ * (override with the YOBLOX_SETUP_HOME environment variable)
+ * @returns {string} Data directory path (not created)
+ */
+function getDataDir() {
+  if (process.env.YOBLOX_SETUP_HOME) {
+    return process.env.YOBLOX_SETUP_HOME;
+  }
+
+  switch (getOS()) {
+    case 'windows':
+      return path.join(process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local'), 'yoblox-setup');
+    case 'macos':
+      return path.join(os.homedir(), 'Library', 'Application Support', 'yoblox-setup');
+    default:
+      return path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'), 'yoblox-setup');
+  }
+}
+
 /**
  * Get username
  * @returns {string} Current username
@@ -174,6 +195,20 @@ function isLinux() {
   return getOS() === 'linux';
 }
 
+/**
+ * Check if running inside WSL (Windows Subsystem for Linux), where
+ * Windows programs such as Roblox Studio reach Linux servers over a
+ * virtual network
+ * @returns {boolean} True if WSL
+ */
+function isWSL() {
+  if (getOS() !== 'linux') {
+    return false;
+  }
+
+  return Boolean(process.env.WSL_DISTRO_NAME) || /microsoft/i.test(os.release());
+}
+
 /**
  * Get system architecture
  * @returns {string} Architecture (e.g., 'x64', 'arm64')
@@ -191,10 +226,12 @@ module.exports = {
   isNodeVersionValid,
   getPATH,
   getHomeDir,
+  getDataDir,
   getUsername,
   expandPath,
   isWindows,
   isMacOS,
   isLinux,
+  isWSL,
   getArch
 };
@@ -8,6 +8,7 @@ const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
+const semver = require('semver');
 const config = require('../config');
 const system = require('./system');
 
@@ -38,6 +39,29 @@ async function commandExists(command) {
   }
 }
 
+/**
+ * Compare a tool's version output against config.MIN_VERSIONS
+ * @param {string} tool - Key in config.MIN_VERSIONS (e.g. 'rojo')
+ * @param {string} versionOutput - Output of `<tool> --version`
+ * @returns {Object} Result with usable flag, parsed version and required version
+ */
+function checkMinimumVersion(tool, versionOutput) {
+  const required = config.MIN_VERSIONS[tool] || null;
+  const parsed = semver.coerce(versionOutput);
+
+  // Without a minimum or a readable version there is nothing to enforce
+  if (!required || !parsed) {
+    return { tool, usable: true, version: parsed ? parsed.version : null, required };
+  }
+
+  return {
+    tool,
+    usable: semver.gte(parsed, required),
+    version: parsed.version,
+    required
+  };
+}
+
 /**
  * Check if Roblox Studio is installed (Windows only)
  * @returns {Promise<Object>} Result with found flag and path
@@ -148,34 +172,56 @@ async function checkGit() {
 }
 
 /**
- * Check if Rust is installed
- * @returns {Promise<Object>} Result with found flag and version
+ * Check if Rust is installed. Versions below config.MIN_VERSIONS are
+ * found but not usable, and listed in `outdated`.
+ * @returns {Promise<Object>} Result with found and usable flags, versions and outdated tools
  */
 async function checkRust() {
   const rustc = await commandExists(config.WINDOWS.RUSTC_COMMAND);
   const cargo = await commandExists(config.WINDOWS.CARGO_COMMAND);
+  const outdated = [
+    rustc.found ? checkMinimumVersion('rustc', rustc.version) : null,
+    cargo.found ? checkMinimumVersion('cargo', cargo.version) : null
+  ].filter(minimum => minimum && !minimum.usable);
 
   return {
     found: rustc.found && cargo.found,
+    usable: rustc.found && cargo.found && outdated.length === 0,
     rustc: rustc.found ? rustc.version : null,
-    cargo: cargo.found ? cargo.version : null
+    cargo: cargo.found ? cargo.version : null,
+    outdated
   };
 }
 
 /**
  * Check if Cargo is installed
- * @returns {Promise<Object>} Result with found flag and version
+ * @returns {Promise<Object>} Result with found and usable flags and version
  */
 async function checkCargo() {
-  return await commandExists(config.WINDOWS.CARGO_COMMAND);
+  const result = await commandExists(config.WINDOWS.CARGO_COMMAND);
+  const minimum = result.found ? checkMinimumVersion('cargo', result.version) : null;
+
+  return {
+    ...result,
+    usable: result.found && minimum.usable,
+    required: config.MIN_VERSIONS.cargo
+  };
 }
 
 /**
- * Check if Rojo is installed
- * @returns {Promise<Object>} Result with found flag and version
+ * Check if Rojo is installed. An older Rojo than config.MIN_VERSIONS.rojo
+ * is found but not usable (it can't talk to the current Studio plugin).
+ * @returns {Promise<Object>} Result with found and usable flags and version
  */
 async function checkRojo() {
-  return await commandExists(config.WINDOWS.ROJO_COMMAND);
+  const result = await commandExists(config.WINDOWS.ROJO_COMMAND);
+  const minimum = result.found ? checkMinimumVersion('rojo', result.version) : null;
+
+  return {
+    ...result,
+    usable: result.found && minimum.usable,
+    required: config.MIN_VERSIONS.rojo
+  };
 }
 
 /**
@@ -394,6 +440,7 @@ async function checkAiCli(binaryName) {
 
 module.exports = {
   commandExists,
+  checkMinimumVersion,
   checkRobloxStudio,
   checkStudioLoggedIn,
   checkVSCode,
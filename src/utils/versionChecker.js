@@ -300,15 +300,17 @@ async function checkRustUpdate() {
  */
 async function checkVSCodeExtensionUpdate(extensionId) {
   try {
-    // Get installed version
-    const installed = execSync(`code --list-extensions --show-versions | findstr /C:"${extensionId}"`, {
+    // Get installed version (lines look like "publisher.name@1.2.3")
+    const installed = execSync('code --list-extensions --show-versions', {
       encoding: 'utf8',
       timeout: 5000,
-      shell: true
+      stdio: ['pipe', 'pipe', 'ignore']
     });
 
-    const installedMatch = installed.match(/@(.+)/);
-    const installedVersion = installedMatch ? installedMatch[1].trim() : null;
+    const line = installed.split('\n')
+      .map(entry => entry.trim())
+      .find(entry => entry.toLowerCase().startsWith(`${extensionId.toLowerCase()}@`));
+    const installedVersion = line ? line.slice(line.indexOf('@') + 1) : null;
 
     if (!installedVersion) {
       return { hasUpdate: false, error: 'Extension not installed' };